@@ -23,6 +23,23 @@ const auth = async (req, res, next) => {
   }
 };
 
+// Identify the caller when a valid token is sent, otherwise carry on anonymously
+const optionalAuth = async (req, res, next) => {
+  try {
+    const token = req.header('Authorization')?.replace('Bearer ', '');
+    if (token) {
+      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = await User.findById(decoded.userId).select('-password');
+      if (user && user.isActive) {
+        req.user = user;
+      }
+    }
+  } catch (error) {
+    // An invalid or expired token is treated like no token
+  }
+  next();
+};
+
 const requireAdmin = async (req, res, next) => {
   try {
     await auth(req, res, () => {
@@ -36,4 +53,4 @@ const requireAdmin = async (req, res, next) => {
   }
 };
 
-module.exports = { auth, requireAdmin };
\ No newline at end of file
+module.exports = { auth, optionalAuth, requireAdmin };
\ No newline at end of file
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    maxlength: 100
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+categorySchema.index({ order: 1, name: 1 });
+
+// Generate slug from name
+categorySchema.pre('save', function(next) {
+  if (this.isModified('name') || this.isNew) {
+    this.slug = slugify(this.name, { lower: true, strict: true }) || `category-${Date.now()}`;
+  }
+  next();
+});
+
+module.exports = mongoose.model('Category', categorySchema);
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+// Homepage sections editors can curate, with how many stories each shows
+const SLOT_DEFINITIONS = {
+  hero: { title: 'Hero', limit: 1 },
+  'editors-picks': { title: "Editors' picks", limit: 6 },
+  'trending-now': { title: 'Trending now', limit: 10 }
+};
+const SLOT_KEYS = Object.keys(SLOT_DEFINITIONS);
+
+const curationSlotSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: SLOT_KEYS
+  },
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  limit: {
+    type: Number,
+    min: 1,
+    max: 50
+  },
+  // Stories in display order; each may be limited to a time window
+  entries: [{
+    _id: false,
+    story: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Story',
+      required: true
+    },
+    startsAt: Date,
+    endsAt: Date
+  }],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+curationSlotSchema.index({ 'entries.story': 1 });
+
+// Fill in the slot's defaults for anything editors have not overridden
+curationSlotSchema.pre('validate', function(next) {
+  const definition = SLOT_DEFINITIONS[this.key];
+  if (definition) {
+    if (!this.title) this.title = definition.title;
+    if (!this.limit) this.limit = definition.limit;
+  }
+
+  const invalid = this.entries.find(entry => entry.startsAt && entry.endsAt && entry.endsAt <= entry.startsAt);
+  if (invalid) {
+    this.invalidate('entries', `End time must be after start time for story ${invalid.story}`);
+  }
+  next();
+});
+
+curationSlotSchema.statics.SLOT_DEFINITIONS = SLOT_DEFINITIONS;
+curationSlotSchema.statics.SLOT_KEYS = SLOT_KEYS;
+
+module.exports = mongoose.model('CurationSlot', curationSlotSchema);
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Issued preview links; the signed token carries `tokenId` as its jti
+const previewTokenSchema = new mongoose.Schema({
+  tokenId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: Date,
+  lastUsedAt: Date,
+  useCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+previewTokenSchema.index({ story: 1, createdAt: -1 });
+// Let MongoDB remove records a day after the link expires
+previewTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+previewTokenSchema.methods.isActive = function() {
+  return !this.revokedAt && this.expiresAt > new Date();
+};
+
+module.exports = mongoose.model('PreviewToken', previewTokenSchema);
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const RELATED_REASONS = ['tags', 'text', 'series', 'author'];
+
+// Precomputed related-story list for one story, best match first
+const relatedStoriesSchema = new mongoose.Schema({
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true,
+    unique: true
+  },
+  related: [{
+    _id: false,
+    story: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Story',
+      required: true
+    },
+    score: Number,
+    reasons: {
+      type: [String],
+      enum: RELATED_REASONS
+    },
+    // Human-readable "why this was picked"
+    explanation: String
+  }],
+  computedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+relatedStoriesSchema.index({ 'related.story': 1 });
+
+relatedStoriesSchema.statics.RELATED_REASONS = RELATED_REASONS;
+
+module.exports = mongoose.model('RelatedStories', relatedStoriesSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Typeahead lookups are not recorded: every prefix typed would count as a miss
+const SEARCH_SOURCES = ['search'];
+
+// Queries readers searched for that found nothing, so editors can spot content gaps
+const searchMissSchema = new mongoose.Schema({
+  query: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 200
+  },
+  source: {
+    type: String,
+    enum: SEARCH_SOURCES,
+    required: true
+  },
+  count: {
+    type: Number,
+    default: 1
+  },
+  firstSearchedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastSearchedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+searchMissSchema.index({ query: 1, source: 1 }, { unique: true });
+searchMissSchema.index({ count: -1 });
+// Gaps nobody has searched for in 90 days are dropped
+searchMissSchema.index({ lastSearchedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+searchMissSchema.statics.SEARCH_SOURCES = SEARCH_SOURCES;
+
+module.exports = mongoose.model('SearchMiss', searchMissSchema);
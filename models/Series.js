@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  coverImage: {
+    url: String,
+    publicId: String,
+    width: Number,
+    height: Number
+  },
+  // Stories in reading order (part 1 first)
+  stories: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story'
+  }],
+  author: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+seriesSchema.index({ stories: 1 });
+
+// Generate unique slug from title
+seriesSchema.pre('save', async function(next) {
+  try {
+    if (this.isModified('title') || this.isNew) {
+      const baseSlug = slugify(this.title, { lower: true, strict: true }) || `series-${Date.now()}`;
+      const Series = mongoose.model('Series');
+
+      let uniqueSlug = baseSlug;
+      let counter = 1;
+      while (await Series.exists({ slug: uniqueSlug, _id: { $ne: this._id } })) {
+        uniqueSlug = `${baseSlug}-${counter}`;
+        counter++;
+      }
+
+      this.slug = uniqueSlug;
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('Series', seriesSchema);
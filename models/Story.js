@@ -1,5 +1,22 @@
 const mongoose = require('mongoose');
 const slugify = require('slugify');
+const { sanitizeContent, decodeEntities, normalizeExcerpt, generateExcerpt } = require('../utils/sanitize');
+const { renderMarkdown } = require('../utils/markdown');
+const { computeContentStats } = require('../utils/contentStats');
+const { versionFilter } = require('../utils/versioning');
+require('./Tag');
+require('./StoryTranslation');
+
+// Editorial workflow states and the transitions allowed out of each one
+const WORKFLOW_STATES = ['draft', 'in_review', 'approved', 'scheduled', 'published', 'archived'];
+const WORKFLOW_TRANSITIONS = {
+  draft: ['in_review', 'archived'],
+  in_review: ['draft', 'approved'],
+  approved: ['draft', 'scheduled', 'published'],
+  scheduled: ['approved', 'published', 'draft'],
+  published: ['draft', 'archived'],
+  archived: ['draft']
+};
 
 const storySchema = new mongoose.Schema({
   title: {
@@ -8,16 +25,49 @@ const storySchema = new mongoose.Schema({
     trim: true,
     maxlength: 200
   },
+  // Stored entity-escaped; the limit applies to the text readers see
   excerpt: {
     type: String,
     trim: true,
-    maxlength: 500
+    validate: {
+      validator: (value) => decodeEntities(value).length <= 500,
+      message: 'Excerpt must be at most 500 characters'
+    }
   },
   content: {
     type: String,
     required: true,
     trim: true
   },
+  // Language of the base version; translations live in StoryTranslation
+  language: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: () => process.env.DEFAULT_LANGUAGE || 'en'
+  },
+  // 'markdown' stories keep their source and render `content` from it
+  contentFormat: {
+    type: String,
+    enum: ['html', 'markdown'],
+    default: 'html'
+  },
+  markdownSource: String,
+  // Derived from content on save
+  wordCount: {
+    type: Number,
+    default: 0
+  },
+  readingTime: {
+    type: Number,
+    default: 0
+  },
+  tableOfContents: [{
+    _id: false,
+    level: Number,
+    id: String,
+    text: String
+  }],
   isFeatured: {
     type: Boolean,
     default: false
@@ -44,11 +94,35 @@ const storySchema = new mongoose.Schema({
     lowercase: true,
     trim: true
   },
+  // Slugs this story was reachable under before its title changed
+  previousSlugs: {
+    type: [String],
+    default: []
+  },
   isPublished: {
     type: Boolean,
     default: false
   },
   scheduledDate: Date,
+  // End of the publish window; the scheduler takes the story down at this time
+  unpublishAt: Date,
+  expiryAction: {
+    type: String,
+    enum: ['unpublish', 'archive'],
+    default: 'unpublish'
+  },
+  expiredAt: Date,
+  status: {
+    type: String,
+    enum: WORKFLOW_STATES
+  },
+  statusHistory: [{
+    from: { type: String, enum: WORKFLOW_STATES },
+    to: { type: String, enum: WORKFLOW_STATES, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now },
+    note: String
+  }],
   socialMediaPosts: {
     facebook: {
       postId: String,
@@ -76,6 +150,15 @@ const storySchema = new mongoose.Schema({
     default: 0
   },
   tags: [String],
+  category: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Category'
+  },
+  // Series this story belongs to; the order lives on Series.stories
+  series: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Series'
+  },
   metaDescription: {
     type: String,
     maxlength: 160
@@ -84,6 +167,20 @@ const storySchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
     required: true
+  },
+  // Set when the story is moved to the trash
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Bumped on every editorial change; exposed as the ETag for optimistic concurrency
+  version: {
+    type: Number,
+    default: 1
   }
 }, {
   timestamps: true
@@ -91,22 +188,149 @@ const storySchema = new mongoose.Schema({
 
 // Create indexes for performance
 storySchema.index({ slug: 1 });
+storySchema.index({ previousSlugs: 1 });
+storySchema.index({ deletedAt: 1 });
 storySchema.index({ isPublished: 1, createdAt: -1 });
 storySchema.index({ isPublished: 1, isFeatured: 1, createdAt: -1 });
 storySchema.index({ scheduledDate: 1 });
+storySchema.index({ status: 1, scheduledDate: 1 });
+storySchema.index({ status: 1, unpublishAt: 1 });
 storySchema.index({ tags: 1 });
+storySchema.index({ category: 1, isPublished: 1, createdAt: -1 });
+storySchema.index({ series: 1 });
 storySchema.index({ views: -1 });
-storySchema.index({ title: 'text', content: 'text', excerpt: 'text' });
+// Full-text search index; titles outweigh tags, excerpts and body text. The
+// language override points at a field that never exists, because `language`
+// holds ISO codes MongoDB's stemmer rejects (see npm run migrate:search-index)
+storySchema.index(
+  { title: 'text', tags: 'text', excerpt: 'text', content: 'text' },
+  {
+    name: 'story_text_search',
+    weights: { title: 10, tags: 5, excerpt: 3, content: 1 },
+    default_language: 'english',
+    language_override: 'textSearchLanguage'
+  }
+);
 storySchema.index({ 'socialMediaPosts.facebook.scheduledTime': 1 });
 storySchema.index({ 'socialMediaPosts.instagram.scheduledTime': 1 });
 storySchema.index({ 'socialMediaPosts.twitter.scheduledTime': 1 });
 storySchema.index({ 'socialMediaPosts.youtube.scheduledTime': 1 });
 
+// Hide trashed stories from every query unless the filter mentions deletedAt
+// or the query is run with the `withDeleted` option
+const excludeTrashed = function(next) {
+  if (!this.getOptions().withDeleted && !('deletedAt' in this.getFilter())) {
+    this.where({ deletedAt: null });
+  }
+  next();
+};
+
+storySchema.pre(['find', 'findOne', 'countDocuments', 'findOneAndUpdate'], excludeTrashed);
+
+storySchema.pre('aggregate', function(next) {
+  const pipeline = this.pipeline();
+  const firstStage = pipeline[0];
+
+  if (firstStage && firstStage.$match) {
+    if (!('deletedAt' in firstStage.$match)) {
+      firstStage.$match.deletedAt = null;
+    }
+  } else {
+    pipeline.unshift({ $match: { deletedAt: null } });
+  }
+  next();
+});
+
+// Derive the workflow status from the legacy isPublished/scheduledDate fields
+const deriveStatus = (story) => {
+  if (story.isPublished) return 'published';
+  if (story.scheduledDate) return 'scheduled';
+  return 'draft';
+};
+
+// Keep status and isPublished in sync whichever one was changed
+storySchema.pre('validate', function(next) {
+  if (!this.status) {
+    this.status = deriveStatus(this);
+  } else if (this.isModified('isPublished') && !this.isModified('status')) {
+    // Legacy code paths that only flip isPublished
+    if (this.isPublished && this.status !== 'published') {
+      this.statusHistory.push({ from: this.status, to: 'published' });
+      this.status = 'published';
+    } else if (!this.isPublished && this.status === 'published') {
+      this.statusHistory.push({ from: this.status, to: 'draft' });
+      this.status = 'draft';
+    }
+  }
+
+  if (this.unpublishAt && this.scheduledDate && this.unpublishAt <= this.scheduledDate &&
+      (this.isModified('unpublishAt') || this.isModified('scheduledDate'))) {
+    this.invalidate('unpublishAt', 'Unpublish time must be after the scheduled publish time', this.unpublishAt);
+  }
+
+  if (this.isNew && this.statusHistory.length === 0) {
+    this.statusHistory.push({ to: this.status, changedBy: this.author });
+  }
+
+  this.isPublished = this.status === 'published';
+  next();
+});
+
+// Current workflow status, derived for stories saved before workflow tracking
+storySchema.methods.getWorkflowStatus = function() {
+  return this.status || deriveStatus(this);
+};
+
+// Check whether the story may move to the given workflow status
+storySchema.methods.canTransitionTo = function(status) {
+  return (WORKFLOW_TRANSITIONS[this.getWorkflowStatus()] || []).includes(status);
+};
+
+// Move the story to a new workflow status, recording who made the change
+storySchema.methods.transitionTo = function(status, changedBy, note) {
+  const current = this.getWorkflowStatus();
+
+  if (!WORKFLOW_STATES.includes(status)) {
+    const error = new Error(`Unknown workflow status: ${status}`);
+    error.name = 'WorkflowTransitionError';
+    error.allowed = WORKFLOW_TRANSITIONS[current] || [];
+    throw error;
+  }
+
+  if (!this.canTransitionTo(status)) {
+    const error = new Error(`Cannot move story from ${current} to ${status}`);
+    error.name = 'WorkflowTransitionError';
+    error.allowed = WORKFLOW_TRANSITIONS[current] || [];
+    throw error;
+  }
+
+  if (status === 'scheduled' && !this.scheduledDate) {
+    const error = new Error('A scheduled date is required to schedule a story');
+    error.name = 'WorkflowTransitionError';
+    error.allowed = WORKFLOW_TRANSITIONS[current] || [];
+    throw error;
+  }
+
+  this.statusHistory.push({ from: current, to: status, changedBy, note });
+  this.status = status;
+  this.isPublished = status === 'published';
+  return this;
+};
+
+// Whether the story's publish window has ended
+storySchema.methods.isExpired = function(now = new Date()) {
+  return Boolean(this.unpublishAt) && this.unpublishAt <= now;
+};
+
+storySchema.statics.WORKFLOW_STATES = WORKFLOW_STATES;
+storySchema.statics.WORKFLOW_TRANSITIONS = WORKFLOW_TRANSITIONS;
+
 // Generate unique slug from title
 storySchema.pre('save', async function(next) {
   try {
-    if ((this.isModified('title') || this.isNew) && this.title) {
-      let baseSlug = slugify(this.title, {
+    // New stories may arrive with a slug (imports); `$locals.keepSlug` stops a retitled import from moving
+    if ((this.isModified('title') || this.isNew) && this.title && !(this.$locals.keepSlug && !this.isNew)) {
+      let baseSlug = slugify(this.isNew && this.slug ? this.slug : this.title, {
         lower: true,
         strict: true,
         remove: /[*+~.()'"!:@]/g
@@ -120,21 +344,32 @@ storySchema.pre('save', async function(next) {
       let uniqueSlug = baseSlug;
       let counter = 1;
       
-      // Ensure uniqueness by checking existing slugs
+      // Ensure uniqueness by checking current and retired slugs of other stories
       const Story = mongoose.model('Story');
-      let existingStory = await Story.findOne({ 
-        slug: uniqueSlug, 
-        _id: { $ne: this._id } 
-      });
+      const StoryTranslation = mongoose.model('StoryTranslation');
+      const slugTaken = async (slug) => {
+        const [story, translation] = await Promise.all([
+          Story.findOne({
+            $or: [{ slug }, { previousSlugs: slug }],
+            _id: { $ne: this._id }
+          }).setOptions({ withDeleted: true }),
+          StoryTranslation.exists({ slug })
+        ]);
+        return story || translation;
+      };
+      let existingStory = await slugTaken(uniqueSlug);
       
       while (existingStory) {
         uniqueSlug = `${baseSlug}-${counter}`;
         counter++;
-        existingStory = await Story.findOne({ 
-          slug: uniqueSlug, 
-          _id: { $ne: this._id } 
-        });
+        existingStory = await slugTaken(uniqueSlug);
+      }
+      
+      // Keep the old slug so shared links can be redirected
+      if (!this.isNew && this.slug && this.slug !== uniqueSlug) {
+        this.previousSlugs.addToSet(this.slug);
       }
+      this.previousSlugs.pull(uniqueSlug);
       
       this.slug = uniqueSlug;
     }
@@ -145,15 +380,88 @@ storySchema.pre('save', async function(next) {
   }
 });
 
+// Store tags as canonical slugs from the tag registry
+storySchema.pre('save', async function(next) {
+  try {
+    if (this.isModified('tags')) {
+      this.tags = await mongoose.model('Tag').resolve(this.tags);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Render Markdown sources to HTML
+storySchema.pre('validate', function(next) {
+  if (this.contentFormat === 'markdown' && (this.isModified('markdownSource') || this.isModified('contentFormat'))) {
+    this.content = renderMarkdown(this.markdownSource).html;
+  }
+  next();
+});
+
+// Sanitize HTML before validation so content that is nothing but junk fails `required`
+storySchema.pre('validate', function(next) {
+  if (this.isModified('content') && this.content) {
+    this.content = sanitizeContent(this.content);
+  }
+  if (this.isModified('excerpt') && this.excerpt) {
+    this.excerpt = normalizeExcerpt(this.excerpt);
+  }
+  next();
+});
+
+// Compute word count, reading time and heading outline from content
+storySchema.pre('save', function(next) {
+  if (this.isModified('content') && this.content) {
+    Object.assign(this, computeContentStats(this.content));
+  }
+  next();
+});
+
 // Auto-generate excerpt from content if not provided
 storySchema.pre('save', function(next) {
   if (!this.excerpt && this.content) {
-    const plainText = this.content.replace(/<[^>]*>/g, '');
-    this.excerpt = plainText.length > 200 ? plainText.substring(0, 200) + '...' : plainText;
+    this.excerpt = generateExcerpt(this.content);
   }
   next();
 });
 
+// Bump the version on editorial changes; view counts and social post state don't count
+const UNVERSIONED_PATHS = ['views', 'socialMediaPosts', 'updatedAt', 'version'];
+
+storySchema.pre('save', function(next) {
+  this.$where = undefined;
+  if (!this.isNew) {
+    const editorial = this.modifiedPaths().some(path => !UNVERSIONED_PATHS.includes(path.split('.')[0]));
+    if (editorial) {
+      // Only write if nobody else saved an edit since this copy was loaded;
+      // otherwise save() rejects with a DocumentNotFoundError
+      const current = this.version || 1;
+      this.$where = versionFilter(current);
+      this.version = current + 1;
+    }
+  }
+  next();
+});
+
+// Changes that alter what readers can find, such as the search suggestion index
+const LISTING_PATHS = ['isPublished', 'title', 'slug', 'tags', 'deletedAt'];
+
+storySchema.pre('save', function(next) {
+  this.$locals.listingChanged = this.isNew
+    ? this.isPublished
+    : LISTING_PATHS.some(path => this.isModified(path)) && (this.isPublished || this.isModified('isPublished'));
+  next();
+});
+
+// Announce listing changes on the model once they are stored: Story.on('listingChanged', ...)
+storySchema.post('save', function(doc) {
+  if (doc.$locals.listingChanged) {
+    doc.constructor.emit('listingChanged', doc);
+  }
+});
+
 // Include virtuals in JSON
 storySchema.set('toJSON', { virtuals: true });
 
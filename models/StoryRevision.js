@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// Fields captured in every revision snapshot
+const TRACKED_FIELDS = ['title', 'content', 'contentFormat', 'markdownSource', 'excerpt', 'tags'];
+
+const storyRevisionSchema = new mongoose.Schema({
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true,
+    immutable: true
+  },
+  revision: {
+    type: Number,
+    required: true,
+    immutable: true
+  },
+  title: { type: String, immutable: true },
+  content: { type: String, immutable: true },
+  contentFormat: { type: String, enum: ['html', 'markdown'], immutable: true },
+  markdownSource: { type: String, immutable: true },
+  excerpt: { type: String, immutable: true },
+  tags: { type: [String], immutable: true },
+  changedFields: {
+    type: [String],
+    enum: TRACKED_FIELDS,
+    immutable: true
+  },
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    immutable: true
+  },
+  // Set when this revision was created by restoring an older one
+  restoredFrom: {
+    type: Number,
+    immutable: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+storyRevisionSchema.index({ story: 1, revision: -1 }, { unique: true });
+
+// Revisions are append-only: existing documents can never be saved again
+storyRevisionSchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Story revisions are immutable'));
+  }
+  next();
+});
+
+const rejectUpdate = function(next) {
+  next(new Error('Story revisions are immutable'));
+};
+
+storyRevisionSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectUpdate);
+
+storyRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = mongoose.model('StoryRevision', storyRevisionSchema);
@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+const { sanitizeContent, htmlToText, generateExcerpt } = require('../utils/sanitize');
+const { computeContentStats } = require('../utils/contentStats');
+
+const storyTranslationSchema = new mongoose.Schema({
+  story: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  // ISO 639-1 code, e.g. 'hi'
+  language: {
+    type: String,
+    required: true,
+    lowercase: true,
+    trim: true,
+    match: /^[a-z]{2}(-[a-z]{2})?$/
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  excerpt: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  content: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  metaDescription: {
+    type: String,
+    maxlength: 160
+  },
+  wordCount: Number,
+  readingTime: Number,
+  tableOfContents: [{
+    _id: false,
+    level: Number,
+    id: String,
+    text: String
+  }],
+  translatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+storyTranslationSchema.index({ story: 1, language: 1 }, { unique: true });
+
+// Sanitize HTML before validation, as for stories
+storyTranslationSchema.pre('validate', function(next) {
+  if (this.isModified('content') && this.content) {
+    this.content = sanitizeContent(this.content);
+  }
+  if (this.isModified('excerpt') && this.excerpt) {
+    this.excerpt = htmlToText(this.excerpt);
+  }
+  next();
+});
+
+// Generate a slug unique across stories and translations
+storyTranslationSchema.pre('save', async function(next) {
+  try {
+    if ((this.isModified('title') || this.isNew) && this.title) {
+      const titleSlug = slugify(this.title, { lower: true, strict: true });
+      // Non-Latin titles slugify to nothing, so fall back to the language code
+      const baseSlug = titleSlug || `${this.language}-${this.story}`;
+
+      const Story = mongoose.model('Story');
+      const StoryTranslation = mongoose.model('StoryTranslation');
+      const slugTaken = async (slug) => {
+        const [story, translation] = await Promise.all([
+          Story.exists({ $or: [{ slug }, { previousSlugs: slug }] }).setOptions({ withDeleted: true }),
+          StoryTranslation.exists({ slug, _id: { $ne: this._id } })
+        ]);
+        return story || translation;
+      };
+
+      let uniqueSlug = baseSlug;
+      let counter = 1;
+      while (await slugTaken(uniqueSlug)) {
+        uniqueSlug = `${baseSlug}-${counter}`;
+        counter++;
+      }
+
+      this.slug = uniqueSlug;
+    }
+
+    if (this.isModified('content') && this.content) {
+      Object.assign(this, computeContentStats(this.content));
+    }
+    if (!this.excerpt && this.content) {
+      this.excerpt = generateExcerpt(this.content);
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('StoryTranslation', storyTranslationSchema);
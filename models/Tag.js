@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const slugify = require('slugify');
+
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  slug: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  },
+  // Former slugs (renamed or merged tags) that resolve to this tag
+  aliases: {
+    type: [String],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+tagSchema.index({ aliases: 1 });
+
+// Normalize a free-form tag into its slug form
+tagSchema.statics.normalize = function(value) {
+  if (typeof value !== 'string') return '';
+  return slugify(value, { lower: true, strict: true, trim: true });
+};
+
+// Map free-form tags to canonical slugs, registering any tags not seen before
+tagSchema.statics.resolve = async function(values) {
+  const names = new Map();
+  (values || []).forEach(value => {
+    const slug = this.normalize(value);
+    if (slug && !names.has(slug)) {
+      names.set(slug, value.trim());
+    }
+  });
+
+  const slugs = [...names.keys()];
+  if (slugs.length === 0) return [];
+
+  // Renamed or merged tags resolve to the tag that replaced them
+  const aliased = await this.find({ aliases: { $in: slugs } }).select('slug aliases');
+  const canonical = slugs.map(slug => {
+    const target = aliased.find(tag => tag.aliases.includes(slug));
+    return target ? target.slug : slug;
+  });
+
+  const upserts = slugs
+    .filter((slug, index) => canonical[index] === slug)
+    .map(slug => ({
+      updateOne: {
+        filter: { slug },
+        update: { $setOnInsert: { slug, name: names.get(slug) } },
+        upsert: true
+      }
+    }));
+
+  if (upserts.length > 0) {
+    await this.bulkWrite(upserts);
+  }
+
+  return [...new Set(canonical)];
+};
+
+module.exports = mongoose.model('Tag', tagSchema);
@@ -1,11 +1,84 @@
 const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
 const Story = require('../models/Story');
 const User = require('../models/User');
+const StoryRevision = require('../models/StoryRevision');
+const PreviewToken = require('../models/PreviewToken');
+const SearchMiss = require('../models/SearchMiss');
 const { requireAdmin } = require('../middleware/auth');
 const { getPingerStats } = require('../services/serverPinger');
+const { snapshotStory, recordRevision, diffRevisions } = require('../services/revisions');
+const { getRetentionDays, trashedFilter, restoreFromTrash, purgeStory } = require('../services/trash');
+const { createPreviewToken, revokePreviewToken } = require('../services/preview');
+const { BULK_ACTIONS, runBulkAction } = require('../services/bulkStories');
+const { EXPORT_FORMATS, streamStories } = require('../services/storyExport');
+const { parseImportFile, importStories } = require('../services/storyImport');
+const { importWordPress } = require('../services/wxrImport');
+const {
+  setVersionHeaders,
+  getExpectedVersion,
+  isStaleVersion,
+  sendVersionConflict
+} = require('../utils/versioning');
+const { usesCursorPagination, decodeCursor, paginateByCursor } = require('../utils/cursor');
 
 const router = express.Router();
 
+// Import files are parsed in memory
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: 50 * 1024 * 1024 // 50MB limit
+  }
+});
+
+const isTruthy = (value) => value === true || value === 'true';
+
+// Fields the admin story list can be sorted by
+const ADMIN_SORT_FIELDS = ['createdAt', 'updatedAt', 'title', 'views', 'status', 'scheduledDate', 'unpublishAt'];
+
+// Build the story filter shared by the admin story list and bulk operations
+const buildAdminStoryQuery = ({ status, search } = {}) => {
+  const query = {};
+
+  // Filter by workflow state
+  if (status) {
+    query.status = status;
+  }
+
+  // Search functionality
+  if (search) {
+    query.$or = [
+      { title: { $regex: search, $options: 'i' } },
+      { content: { $regex: search, $options: 'i' } }
+    ];
+  }
+
+  return query;
+};
+
+// Attach category name/slug to aggregates grouped by category id
+const categoryLookupStages = [
+  {
+    $lookup: {
+      from: 'categories',
+      localField: '_id',
+      foreignField: '_id',
+      as: 'category'
+    }
+  },
+  {
+    $project: {
+      _id: 1,
+      count: 1,
+      views: 1,
+      name: { $ifNull: [{ $arrayElemAt: ['$category.name', 0] }, 'Uncategorized'] },
+      slug: { $arrayElemAt: ['$category.slug', 0] }
+    }
+  }
+];
+
 // Get admin dashboard stats
 router.get('/stats', requireAdmin, async (req, res) => {
   try {
@@ -19,23 +92,29 @@ router.get('/stats', requireAdmin, async (req, res) => {
     ] = await Promise.all([
       Story.countDocuments(),
       Story.countDocuments({ isPublished: true }),
-      Story.countDocuments({ isPublished: false, scheduledDate: null }),
-      Story.countDocuments({ 
-        isPublished: false, 
-        scheduledDate: { $exists: true, $ne: null } 
-      }),
+      Story.countDocuments({ status: 'draft' }),
+      Story.countDocuments({ status: 'scheduled' }),
       Story.aggregate([
         { $group: { _id: null, totalViews: { $sum: '$views' } } }
       ]),
       User.countDocuments({ isActive: true })
     ]);
 
+    // Stories per workflow state
+    const workflowCounts = await Story.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+    const workflow = {};
+    Story.WORKFLOW_STATES.forEach(state => {
+      workflow[state] = workflowCounts.find(entry => entry._id === state)?.count || 0;
+    });
+
     // Get recent stories
     const recentStories = await Story.find()
       .populate('author', 'name email')
       .sort({ createdAt: -1 })
       .limit(5)
-      .select('title isPublished views createdAt');
+      .select('title isPublished status views createdAt');
 
     // Get popular stories
     const popularStories = await Story.find({ isPublished: true })
@@ -73,6 +152,7 @@ router.get('/stats', requireAdmin, async (req, res) => {
         publishedStories,
         draftStories,
         scheduledStories,
+        workflow,
         totalViews: totalViews[0]?.totalViews || 0,
         totalUsers,
         socialMedia: socialMediaStats[0] || {
@@ -105,33 +185,49 @@ router.get('/stories', requireAdmin, async (req, res) => {
 
     const skip = (parseInt(page) - 1) * parseInt(limit);
     
-    let query = {};
-    
-    // Filter by status
-    if (status === 'published') {
-      query.isPublished = true;
-    } else if (status === 'draft') {
-      query.isPublished = false;
-      query.scheduledDate = null;
-    } else if (status === 'scheduled') {
-      query.isPublished = false;
-      query.scheduledDate = { $exists: true, $ne: null };
+    if (status && !Story.WORKFLOW_STATES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Expected one of: ${Story.WORKFLOW_STATES.join(', ')}` });
     }
-
-    // Search functionality
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } }
-      ];
+    if (!ADMIN_SORT_FIELDS.includes(sortBy)) {
+      return res.status(400).json({ error: `Invalid sortBy. Expected one of: ${ADMIN_SORT_FIELDS.join(', ')}` });
     }
 
-    const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'asc' ? 1 : -1;
+    const query = buildAdminStoryQuery({ status, search });
+    const sort = {
+      key: `${sortBy}:${sortOrder === 'asc' ? 'asc' : 'desc'}`,
+      field: sortBy,
+      order: sortOrder === 'asc' ? 1 : -1
+    };
+
+    // Cursor mode: ?paginate=cursor for the first page, then the returned cursors
+    if (usesCursorPagination(req)) {
+      const { items, pagination } = await paginateByCursor({
+        sort,
+        cursor: req.query.cursor ? decodeCursor(req.query.cursor, sort) : null,
+        limit: Math.min(Math.max(parseInt(limit) || 20, 1), 100),
+        fetch: (cursorFilter, sortSpec, count) => {
+          const find = Story.find(query)
+            .populate('author', 'name email')
+            .sort(sortSpec)
+            .limit(count);
+          return cursorFilter ? find.and([cursorFilter]) : find;
+        }
+      });
+
+      if (isTruthy(req.query.includeTotal)) {
+        pagination.total = await Story.countDocuments(query);
+      }
+
+      return res.json({
+        success: true,
+        stories: items,
+        pagination
+      });
+    }
 
     const stories = await Story.find(query)
       .populate('author', 'name email')
-      .sort(sortOptions)
+      .sort({ [sort.field]: sort.order, _id: sort.order })
       .skip(skip)
       .limit(parseInt(limit));
 
@@ -149,6 +245,159 @@ router.get('/stories', requireAdmin, async (req, res) => {
     });
   } catch (error) {
     console.error('Error fetching admin stories:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Apply one action to many stories, selected by ID or by the same filter as the story list
+router.post('/stories/bulk', requireAdmin, [
+  body('action').isIn(BULK_ACTIONS),
+  body('ids').optional().isArray({ min: 1 }),
+  body('ids.*').isMongoId(),
+  body('filter').optional().isObject(),
+  body('filter.status').optional().isIn(Story.WORKFLOW_STATES),
+  body('filter.search').optional().isString(),
+  body('params').optional().isObject(),
+  body('dryRun').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { action, ids, filter, params = {}, dryRun = false } = req.body;
+
+    if (!ids && !filter) {
+      return res.status(400).json({ error: 'Either ids or filter is required' });
+    }
+    if (ids && filter) {
+      return res.status(400).json({ error: 'Provide either ids or filter, not both' });
+    }
+
+    const query = ids
+      ? { _id: { $in: ids } }
+      : buildAdminStoryQuery(filter);
+
+    // Unknown or empty criteria leave nothing to filter on, which would
+    // match every story
+    if (Object.keys(query).length === 0) {
+      return res.status(400).json({ error: 'Filter needs at least one of: status, search' });
+    }
+
+    const summary = await runBulkAction({
+      query,
+      ids,
+      action,
+      params,
+      dryRun: isTruthy(dryRun),
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      ...summary
+    });
+  } catch (error) {
+    console.error('Error running bulk story action:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Export stories as a streamed JSON or NDJSON download, filtered like the story list
+router.get('/export', requireAdmin, async (req, res) => {
+  try {
+    const { format = 'json', status, search } = req.query;
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Expected one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+    if (status && !Story.WORKFLOW_STATES.includes(status)) {
+      return res.status(400).json({ error: `Invalid status. Expected one of: ${Story.WORKFLOW_STATES.join(', ')}` });
+    }
+
+    await streamStories(res, {
+      query: buildAdminStoryQuery({ status, search }),
+      format
+    });
+  } catch (error) {
+    console.error('Error exporting stories:', error);
+
+    // Once streaming has started the only option is to cut the download short
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import stories from an export file (or a JSON body), upserting by slug
+router.post('/import', requireAdmin, importUpload.single('file'), async (req, res) => {
+  try {
+    let records;
+    if (req.file) {
+      const format = req.body.format || (/\.ndjson$/i.test(req.file.originalname) ? 'ndjson' : 'json');
+      records = parseImportFile(req.file.buffer.toString('utf8'), format);
+    } else if (Array.isArray(req.body.stories)) {
+      records = req.body.stories;
+    } else {
+      return res.status(400).json({ error: 'Provide an export file or a stories array' });
+    }
+
+    const report = await importStories(records, {
+      dryRun: isTruthy(req.body.dryRun ?? req.query.dryRun),
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error importing stories:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Import a WordPress WXR export; only a validation report is returned unless dryRun=false
+router.post('/import/wordpress', requireAdmin, importUpload.single('file'), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ error: 'No file provided' });
+    }
+
+    const dryRun = ![false, 'false'].includes(req.body.dryRun ?? req.query.dryRun);
+    const report = await importWordPress(req.file.buffer.toString('utf8'), {
+      dryRun,
+      userId: req.user._id
+    });
+
+    res.json({
+      success: true,
+      ...report
+    });
+  } catch (error) {
+    console.error('Error importing WordPress export:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     res.status(500).json({ error: 'Internal server error' });
   }
 });
@@ -270,7 +519,23 @@ router.get('/analytics', requireAdmin, async (req, res) => {
         }
       },
       { $sort: { count: -1 } },
-      { $limit: 10 }
+      { $limit: 10 },
+      {
+        $lookup: {
+          from: 'tags',
+          localField: '_id',
+          foreignField: 'slug',
+          as: 'tag'
+        }
+      },
+      {
+        $project: {
+          _id: 1,
+          count: 1,
+          totalViews: 1,
+          name: { $ifNull: [{ $arrayElemAt: ['$tag.name', 0] }, '$_id'] }
+        }
+      }
     ]);
 
     res.json({
@@ -321,6 +586,7 @@ router.get('/stats/detailed', requireAdmin, async (req, res) => {
     // Get top performing stories
     const topStories = await Story.find({ isPublished: true })
       .populate('author', 'name email')
+      .populate('category', 'name slug')
       .sort({ views: -1 })
       .limit(10)
       .select('title views category createdAt');
@@ -336,7 +602,8 @@ router.get('/stats/detailed', requireAdmin, async (req, res) => {
         }
       },
       { $sort: { views: -1 } },
-      { $limit: 10 }
+      { $limit: 10 },
+      ...categoryLookupStages
     ]);
 
     res.json({
@@ -368,7 +635,8 @@ router.get('/stories/stats', requireAdmin, async (req, res) => {
       Story.aggregate([
         { $match: { isPublished: true } },
         { $group: { _id: '$category', count: { $sum: 1 } } },
-        { $sort: { count: -1 } }
+        { $sort: { count: -1 } },
+        ...categoryLookupStages
       ])
     ]);
 
@@ -421,6 +689,51 @@ router.get('/activity', requireAdmin, async (req, res) => {
   }
 });
 
+// Searches readers ran that found nothing, most frequent first
+router.get('/search-misses', requireAdmin, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+    const query = {};
+    if (req.query.source) {
+      if (!SearchMiss.SEARCH_SOURCES.includes(req.query.source)) {
+        return res.status(400).json({ error: `Source must be one of: ${SearchMiss.SEARCH_SOURCES.join(', ')}` });
+      }
+      query.source = req.query.source;
+    }
+
+    const misses = await SearchMiss.find(query)
+      .sort({ count: -1, lastSearchedAt: -1 })
+      .limit(limit);
+
+    res.json({
+      success: true,
+      misses
+    });
+  } catch (error) {
+    console.error('Error fetching search misses:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Dismiss a search miss once the gap has been filled
+router.delete('/search-misses/:id', requireAdmin, async (req, res) => {
+  try {
+    const miss = await SearchMiss.findByIdAndDelete(req.params.id);
+
+    if (!miss) {
+      return res.status(404).json({ error: 'Search miss not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Search miss dismissed'
+    });
+  } catch (error) {
+    console.error('Error dismissing search miss:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Reschedule a social media post
 router.post('/stories/:id/reschedule', requireAdmin, async (req, res) => {
   try {
@@ -470,6 +783,353 @@ router.post('/stories/:id/reschedule', requireAdmin, async (req, res) => {
   }
 });
 
+// Move a story through the editorial workflow
+router.post('/stories/:id/transition', requireAdmin, async (req, res) => {
+  try {
+    const { status, note, scheduledDate } = req.body;
+
+    if (!status) {
+      return res.status(400).json({ error: 'Target status is required' });
+    }
+
+    const story = await Story.findById(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    // Honour a version check when the client sends one
+    const expectedVersion = getExpectedVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return res.status(400).json({ error: 'Invalid story version' });
+    }
+    if (isStaleVersion(expectedVersion, story)) {
+      return sendVersionConflict(res, story);
+    }
+
+    if (scheduledDate) {
+      story.scheduledDate = new Date(scheduledDate);
+    }
+
+    story.transitionTo(status, req.user._id, note);
+    await story.save();
+
+    const updatedStory = await Story.findById(story._id)
+      .populate('author', 'name email')
+      .populate('statusHistory.changedBy', 'name email');
+
+    setVersionHeaders(res, updatedStory);
+    res.json({
+      success: true,
+      story: updatedStory,
+      allowedTransitions: Story.WORKFLOW_TRANSITIONS[updatedStory.status],
+      message: `Story moved to ${status}`
+    });
+  } catch (error) {
+    console.error('Error changing story status:', error);
+
+    if (error.name === 'WorkflowTransitionError') {
+      return res.status(400).json({ error: error.message, allowedTransitions: error.allowed });
+    }
+    if (error.name === 'DocumentNotFoundError') {
+      const currentStory = await Story.findById(req.params.id).populate('author', 'name email').catch(() => null);
+      if (currentStory) {
+        return sendVersionConflict(res, currentStory);
+      }
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List revisions of a story
+router.get('/stories/:id/revisions', requireAdmin, async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id).select('title');
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    const revisions = await StoryRevision.find({ story: story._id })
+      .populate('editedBy', 'name email')
+      .sort({ revision: -1 })
+      .select('revision changedFields editedBy restoredFrom createdAt');
+
+    res.json({
+      success: true,
+      revisions
+    });
+  } catch (error) {
+    console.error('Error fetching story revisions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Diff two revisions of a story (defaults to the latest against the one before it)
+router.get('/stories/:id/revisions/diff', requireAdmin, async (req, res) => {
+  try {
+    const revisions = await StoryRevision.find({ story: req.params.id })
+      .sort({ revision: -1 })
+      .select('revision');
+
+    if (revisions.length === 0) {
+      return res.status(404).json({ error: 'No revisions found for this story' });
+    }
+
+    const to = req.query.to !== undefined ? parseInt(req.query.to) : revisions[0].revision;
+    const from = req.query.from !== undefined ? parseInt(req.query.from) : to - 1;
+
+    if (isNaN(from) || isNaN(to)) {
+      return res.status(400).json({ error: 'Revision numbers must be integers' });
+    }
+
+    const [fromRevision, toRevision] = await Promise.all([
+      StoryRevision.findOne({ story: req.params.id, revision: from }),
+      StoryRevision.findOne({ story: req.params.id, revision: to })
+    ]);
+
+    if (!fromRevision || !toRevision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      diff: diffRevisions(fromRevision, toRevision)
+    });
+  } catch (error) {
+    console.error('Error diffing story revisions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single revision with its full content
+router.get('/stories/:id/revisions/:revision', requireAdmin, async (req, res) => {
+  try {
+    const revision = await StoryRevision.findOne({
+      story: req.params.id,
+      revision: parseInt(req.params.revision)
+    }).populate('editedBy', 'name email');
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    res.json({
+      success: true,
+      revision
+    });
+  } catch (error) {
+    console.error('Error fetching story revision:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restore a revision as the current version of the story
+router.post('/stories/:id/revisions/:revision/restore', requireAdmin, async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id);
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    // Honour a version check when the client sends one
+    const expectedVersion = getExpectedVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return res.status(400).json({ error: 'Invalid story version' });
+    }
+    if (isStaleVersion(expectedVersion, story)) {
+      return sendVersionConflict(res, story);
+    }
+
+    const revision = await StoryRevision.findOne({
+      story: story._id,
+      revision: parseInt(req.params.revision)
+    });
+
+    if (!revision) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+
+    const previous = snapshotStory(story);
+    Object.assign(story, snapshotStory(revision));
+    await story.save();
+
+    const newRevision = await recordRevision(story, {
+      previous,
+      editedBy: req.user._id,
+      restoredFrom: revision.revision
+    });
+
+    const restoredStory = await Story.findById(story._id)
+      .populate('author', 'name email');
+
+    setVersionHeaders(res, restoredStory);
+    res.json({
+      success: true,
+      story: restoredStory,
+      revision: newRevision,
+      message: `Restored revision ${revision.revision}`
+    });
+  } catch (error) {
+    console.error('Error restoring story revision:', error);
+
+    if (error.name === 'DocumentNotFoundError') {
+      const currentStory = await Story.findById(req.params.id).populate('author', 'name email').catch(() => null);
+      if (currentStory) {
+        return sendVersionConflict(res, currentStory);
+      }
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create a signed preview link for a story
+router.post('/stories/:id/preview-links', requireAdmin, async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id).select('title');
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    const { token, url, record } = await createPreviewToken(story, {
+      expiresInHours: req.body.expiresInHours,
+      label: req.body.label,
+      createdBy: req.user._id
+    });
+
+    res.status(201).json({
+      success: true,
+      token,
+      url,
+      previewLink: record
+    });
+  } catch (error) {
+    console.error('Error creating preview link:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List preview links issued for a story
+router.get('/stories/:id/preview-links', requireAdmin, async (req, res) => {
+  try {
+    const previewLinks = await PreviewToken.find({ story: req.params.id })
+      .populate('createdBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      previewLinks: previewLinks.map(link => ({
+        ...link.toObject(),
+        isActive: link.isActive()
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching preview links:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Revoke a preview link
+router.delete('/preview-links/:tokenId', requireAdmin, async (req, res) => {
+  try {
+    const previewLink = await revokePreviewToken(req.params.tokenId);
+
+    if (!previewLink) {
+      return res.status(404).json({ error: 'Active preview link not found' });
+    }
+
+    res.json({
+      success: true,
+      previewLink,
+      message: 'Preview link revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking preview link:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List stories in the trash
+router.get('/trash', requireAdmin, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const retentionDays = getRetentionDays();
+
+    const stories = await Story.find(trashedFilter())
+      .populate('author', 'name email')
+      .populate('deletedBy', 'name email')
+      .sort({ deletedAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .select('title slug image video deletedAt deletedBy author status createdAt');
+
+    const total = await Story.countDocuments(trashedFilter());
+
+    res.json({
+      success: true,
+      stories: stories.map(story => ({
+        ...story.toObject(),
+        purgeAt: new Date(story.deletedAt.getTime() + retentionDays * 24 * 60 * 60 * 1000)
+      })),
+      retentionDays,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit))
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching trash:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Restore a story from the trash
+router.post('/trash/:id/restore', requireAdmin, async (req, res) => {
+  try {
+    const story = await Story.findOne(trashedFilter({ _id: req.params.id }));
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found in trash' });
+    }
+
+    await restoreFromTrash(story);
+
+    const restoredStory = await Story.findById(story._id)
+      .populate('author', 'name email');
+
+    res.json({
+      success: true,
+      story: restoredStory,
+      message: 'Story restored successfully'
+    });
+  } catch (error) {
+    console.error('Error restoring story from trash:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Permanently delete a trashed story and its Cloudinary assets
+router.delete('/trash/:id', requireAdmin, async (req, res) => {
+  try {
+    const story = await Story.findOne(trashedFilter({ _id: req.params.id }));
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found in trash' });
+    }
+
+    await purgeStory(story);
+
+    res.json({
+      success: true,
+      message: 'Story permanently deleted'
+    });
+  } catch (error) {
+    console.error('Error purging story:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get server pinger status
 router.get('/pinger-status', requireAdmin, async (req, res) => {
   try {
@@ -0,0 +1,220 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Category = require('../models/Category');
+const Story = require('../models/Story');
+const { requireAdmin } = require('../middleware/auth');
+const { transformStoryForFrontend } = require('../utils/storyTransform');
+
+const router = express.Router();
+
+// List active categories with published story counts
+router.get('/', async (req, res) => {
+  try {
+    const categories = await Category.find({ isActive: true })
+      .sort({ order: 1, name: 1 })
+      .select('-__v')
+      .lean();
+
+    const counts = await Story.aggregate([
+      { $match: { isPublished: true, category: { $in: categories.map(c => c._id) } } },
+      { $group: { _id: '$category', count: { $sum: 1 } } }
+    ]);
+
+    const countMap = new Map(counts.map(entry => [entry._id.toString(), entry.count]));
+
+    res.json({
+      success: true,
+      categories: categories.map(category => ({
+        ...category,
+        storyCount: countMap.get(category._id.toString()) || 0
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching categories:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get published stories in a category
+router.get('/:slug/stories', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const category = await Category.findOne({ slug: req.params.slug, isActive: true })
+      .select('-__v');
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const skip = (page - 1) * limit;
+
+    const storyQuery = { isPublished: true, category: category._id };
+
+    const [stories, total] = await Promise.all([
+      Story.find(storyQuery)
+        .populate('author', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-socialMediaPosts -content -markdownSource -__v'),
+      Story.countDocuments(storyQuery)
+    ]);
+
+    res.json({
+      success: true,
+      category,
+      stories: stories.map(transformStoryForFrontend),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching category stories:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create category (admin only)
+router.post('/', requireAdmin, [
+  body('name').isLength({ min: 1, max: 100 }).trim(),
+  body('description').optional().isLength({ max: 500 }).trim(),
+  body('order').optional().isInt(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const category = new Category({
+      name: req.body.name,
+      description: req.body.description,
+      order: req.body.order,
+      isActive: req.body.isActive
+    });
+    await category.save();
+
+    res.status(201).json({
+      success: true,
+      category
+    });
+  } catch (error) {
+    console.error('Error creating category:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A category with this name already exists' });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Reorder categories (admin only)
+router.put('/reorder', requireAdmin, [
+  body('order').isArray({ min: 1 }),
+  body('order.*').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    await Category.bulkWrite(req.body.order.map((id, index) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: { $set: { order: index } }
+      }
+    })));
+
+    const categories = await Category.find().sort({ order: 1, name: 1 });
+
+    res.json({
+      success: true,
+      categories
+    });
+  } catch (error) {
+    console.error('Error reordering categories:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update category (admin only)
+router.put('/:id', requireAdmin, [
+  body('name').optional().isLength({ min: 1, max: 100 }).trim(),
+  body('description').optional().isLength({ max: 500 }).trim(),
+  body('order').optional().isInt(),
+  body('isActive').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const category = await Category.findById(req.params.id);
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    ['name', 'description', 'order', 'isActive'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        category[field] = req.body[field];
+      }
+    });
+    await category.save();
+
+    res.json({
+      success: true,
+      category
+    });
+  } catch (error) {
+    console.error('Error updating category:', error);
+
+    if (error.code === 11000) {
+      return res.status(409).json({ error: 'A category with this name already exists' });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete category (admin only) - stories in it become uncategorized
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const category = await Category.findByIdAndDelete(req.params.id);
+
+    if (!category) {
+      return res.status(404).json({ error: 'Category not found' });
+    }
+
+    const result = await Story.updateMany(
+      { category: category._id },
+      { $unset: { category: '' } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Category deleted successfully',
+      storiesUpdated: result.modifiedCount
+    });
+  } catch (error) {
+    console.error('Error deleting category:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const CurationSlot = require('../models/CurationSlot');
+const { requireAdmin } = require('../middleware/auth');
+const {
+  getSlot,
+  isEntryActive,
+  setSlotEntries,
+  reorderSlot,
+  addSlotEntry,
+  removeSlotEntry
+} = require('../services/curation');
+
+const router = express.Router();
+
+const entryValidators = (prefix) => [
+  body(`${prefix}story`).isMongoId(),
+  body(`${prefix}startsAt`).optional({ nullable: true }).isISO8601(),
+  body(`${prefix}endsAt`).optional({ nullable: true }).isISO8601()
+];
+
+// Slot with its entries populated for the admin editor
+const populateSlot = async (slot) => {
+  if (!slot.isNew) {
+    await slot.populate('entries.story', 'title slug status isPublished image views');
+  }
+
+  const now = new Date();
+  const { entries, ...rest } = slot.toObject();
+  return {
+    ...rest,
+    entries: entries.map(entry => ({ ...entry, active: isEntryActive(entry, now) }))
+  };
+};
+
+const handleCurationError = (res, error, message) => {
+  console.error(message, error);
+
+  if (error.status) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({ error: error.message });
+  }
+
+  res.status(500).json({ error: 'Internal server error' });
+};
+
+// List every curation slot (admin only)
+router.get('/', requireAdmin, async (req, res) => {
+  try {
+    const slots = await Promise.all(CurationSlot.SLOT_KEYS.map(async key => populateSlot(await getSlot(key))));
+
+    res.json({
+      success: true,
+      slots
+    });
+  } catch (error) {
+    handleCurationError(res, error, 'Error fetching curation slots:');
+  }
+});
+
+// Get one curation slot (admin only)
+router.get('/:key', requireAdmin, async (req, res) => {
+  try {
+    const slot = await getSlot(req.params.key);
+
+    res.json({
+      success: true,
+      slot: await populateSlot(slot)
+    });
+  } catch (error) {
+    handleCurationError(res, error, 'Error fetching curation slot:');
+  }
+});
+
+// Replace a slot's entries and settings (admin only)
+router.put('/:key', requireAdmin, [
+  body('title').optional().isLength({ min: 1, max: 100 }).trim(),
+  body('limit').optional().isInt({ min: 1, max: 50 }),
+  body('entries').isArray(),
+  ...entryValidators('entries.*.')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const slot = await getSlot(req.params.key);
+    if (req.body.title) slot.title = req.body.title;
+    if (req.body.limit) slot.limit = parseInt(req.body.limit);
+
+    await setSlotEntries(slot, req.body.entries, req.user._id);
+
+    res.json({
+      success: true,
+      slot: await populateSlot(slot)
+    });
+  } catch (error) {
+    handleCurationError(res, error, 'Error updating curation slot:');
+  }
+});
+
+// Reorder a slot after drag-and-drop (admin only)
+router.put('/:key/reorder', requireAdmin, [
+  body('order').isArray(),
+  body('order.*').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const slot = await getSlot(req.params.key);
+    await reorderSlot(slot, req.body.order, req.user._id);
+
+    res.json({
+      success: true,
+      slot: await populateSlot(slot)
+    });
+  } catch (error) {
+    handleCurationError(res, error, 'Error reordering curation slot:');
+  }
+});
+
+// Add a story to a slot, optionally at a position (admin only)
+router.post('/:key/stories', requireAdmin, [
+  ...entryValidators(''),
+  body('position').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const slot = await getSlot(req.params.key);
+    await addSlotEntry(slot, {
+      story: req.body.story,
+      startsAt: req.body.startsAt ? new Date(req.body.startsAt) : undefined,
+      endsAt: req.body.endsAt ? new Date(req.body.endsAt) : undefined,
+      position: req.body.position ? parseInt(req.body.position) : undefined
+    }, req.user._id);
+
+    res.json({
+      success: true,
+      slot: await populateSlot(slot)
+    });
+  } catch (error) {
+    handleCurationError(res, error, 'Error adding story to curation slot:');
+  }
+});
+
+// Remove a story from a slot (admin only)
+router.delete('/:key/stories/:storyId', requireAdmin, async (req, res) => {
+  try {
+    const slot = await getSlot(req.params.key);
+    await removeSlotEntry(slot, req.params.storyId, req.user._id);
+
+    res.json({
+      success: true,
+      slot: await populateSlot(slot)
+    });
+  } catch (error) {
+    handleCurationError(res, error, 'Error removing story from curation slot:');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+const express = require('express');
+const { FEED_FORMATS, resolveFeedScope, getFeedValidators, buildFeed } = require('../services/feeds');
+const { getApiOrigin } = require('../utils/urls');
+
+const router = express.Router();
+
+// Serve a feed, answering 304 when the reader's copy is still current
+const sendFeed = (format) => async (req, res) => {
+  try {
+    const scope = await resolveFeedScope({
+      tag: req.params.tag,
+      authorId: req.params.authorId
+    });
+
+    const { etag, lastModified } = await getFeedValidators(scope.query, format);
+    res.set({
+      ETag: etag,
+      'Last-Modified': lastModified.toUTCString(),
+      'Cache-Control': 'public, max-age=300'
+    });
+
+    if (req.fresh) {
+      return res.status(304).end();
+    }
+
+    const body = await buildFeed(format, {
+      ...scope,
+      selfUrl: `${getApiOrigin(req)}${req.originalUrl}`,
+      lastModified
+    });
+
+    res.type(FEED_FORMATS[format].contentType).send(body);
+  } catch (error) {
+    console.error('Error building feed:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+// Site-wide, per-tag and per-author variants of every feed format
+Object.keys(FEED_FORMATS).forEach(format => {
+  router.get(`/${format}`, sendFeed(format));
+  router.get(`/tags/:tag/${format}`, sendFeed(format));
+  router.get(`/authors/:authorId/${format}`, sendFeed(format));
+});
+
+module.exports = router;
@@ -0,0 +1,26 @@
+const express = require('express');
+const { getHomeSections } = require('../services/curation');
+const { localizeStories } = require('../services/translations');
+const { transformStoryForFrontend } = require('../utils/storyTransform');
+
+const router = express.Router();
+
+// Get every homepage section in one response
+router.get('/', async (req, res) => {
+  try {
+    const sections = await getHomeSections();
+
+    res.json({
+      success: true,
+      sections: await Promise.all(sections.map(async section => ({
+        ...section,
+        stories: await localizeStories(section.stories.map(transformStoryForFrontend), req.query.lang)
+      })))
+    });
+  } catch (error) {
+    console.error('Error fetching homepage sections:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,264 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Series = require('../models/Series');
+const Story = require('../models/Story');
+const { requireAdmin } = require('../middleware/auth');
+const {
+  setSeriesStories,
+  addStoryToSeries,
+  removeStoryFromSeries,
+  getPublishedParts
+} = require('../services/series');
+const { transformStoryForFrontend } = require('../utils/storyTransform');
+
+const router = express.Router();
+
+const seriesValidators = [
+  body('description').optional().isLength({ max: 1000 }).trim(),
+  body('coverImage').optional().isObject(),
+  body('coverImage.url').optional().isString()
+];
+
+// List series with their published part counts
+router.get('/', async (req, res) => {
+  try {
+    const seriesList = await Series.find()
+      .sort({ updatedAt: -1 })
+      .select('-__v');
+
+    const result = await Promise.all(seriesList.map(async (series) => {
+      const parts = await getPublishedParts(series);
+      const { stories, ...rest } = series.toObject();
+      return { ...rest, totalParts: parts.length };
+    }));
+
+    res.json({
+      success: true,
+      series: result.filter(series => series.totalParts > 0)
+    });
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a series with its published stories in reading order
+router.get('/:slug', async (req, res) => {
+  try {
+    const series = await Series.findOne({ slug: req.params.slug }).select('-__v');
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    const parts = await getPublishedParts(series);
+    const stories = await Story.find({ _id: { $in: parts } })
+      .populate('author', 'name email')
+      .select('-socialMediaPosts -content -markdownSource -__v');
+
+    const storyMap = new Map(stories.map(story => [story._id.toString(), story]));
+    const { stories: storyIds, ...rest } = series.toObject();
+
+    res.json({
+      success: true,
+      series: { ...rest, totalParts: parts.length },
+      stories: parts.map((id, index) => ({
+        ...transformStoryForFrontend(storyMap.get(id)),
+        part: index + 1
+      }))
+    });
+  } catch (error) {
+    console.error('Error fetching series:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create series (admin only)
+router.post('/', requireAdmin, [
+  body('title').isLength({ min: 1, max: 200 }).trim(),
+  body('stories').optional().isArray(),
+  body('stories.*').optional().isMongoId(),
+  ...seriesValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const series = new Series({
+      title: req.body.title,
+      description: req.body.description,
+      coverImage: req.body.coverImage,
+      author: req.user._id
+    });
+    await series.save();
+
+    if (req.body.stories && req.body.stories.length > 0) {
+      try {
+        await setSeriesStories(series, req.body.stories);
+      } catch (error) {
+        await Series.deleteOne({ _id: series._id });
+        throw error;
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      series
+    });
+  } catch (error) {
+    console.error('Error creating series:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update series details (admin only)
+router.put('/:id', requireAdmin, [
+  body('title').optional().isLength({ min: 1, max: 200 }).trim(),
+  ...seriesValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    ['title', 'description', 'coverImage'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        series[field] = req.body[field];
+      }
+    });
+    await series.save();
+
+    res.json({
+      success: true,
+      series
+    });
+  } catch (error) {
+    console.error('Error updating series:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete series (admin only) - stories are kept and detached
+router.delete('/:id', requireAdmin, async (req, res) => {
+  try {
+    const series = await Series.findByIdAndDelete(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    await Story.updateMany(
+      { series: series._id },
+      { $unset: { series: '' } }
+    );
+
+    res.json({
+      success: true,
+      message: 'Series deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting series:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replace the ordered story list, e.g. after drag-and-drop (admin only)
+router.put('/:id/stories', requireAdmin, [
+  body('stories').isArray(),
+  body('stories.*').isMongoId()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    await setSeriesStories(series, req.body.stories);
+
+    res.json({
+      success: true,
+      series
+    });
+  } catch (error) {
+    console.error('Error reordering series:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Add a story to a series at an optional 1-based position (admin only)
+router.post('/:id/stories', requireAdmin, [
+  body('storyId').isMongoId(),
+  body('position').optional().isInt({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    await addStoryToSeries(series, req.body.storyId, parseInt(req.body.position) || null);
+
+    res.json({
+      success: true,
+      series
+    });
+  } catch (error) {
+    console.error('Error adding story to series:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Remove a story from a series (admin only)
+router.delete('/:id/stories/:storyId', requireAdmin, async (req, res) => {
+  try {
+    const series = await Series.findById(req.params.id);
+    if (!series) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    await removeStoryFromSeries(series, req.params.storyId);
+
+    res.json({
+      success: true,
+      series
+    });
+  } catch (error) {
+    console.error('Error removing story from series:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const {
+  isPreviewBot,
+  resolveShareStory,
+  buildShareMeta,
+  renderSharePage,
+  parseEmbedUrl,
+  buildOEmbed,
+  renderOEmbedXml
+} = require('../services/share');
+const { buildStoryUrl, getApiOrigin } = require('../utils/urls');
+
+const router = express.Router();
+
+// Share link for a story ID or slug, as built by buildStoryUrl. Link preview
+// crawlers get Open Graph and Twitter Card meta; browsers are redirected to
+// the canonical frontend URL.
+router.get('/s/:identifier', async (req, res) => {
+  try {
+    const { story, language } = await resolveShareStory(req.params.identifier);
+
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    const meta = await buildShareMeta(story, req.query.lang || language);
+
+    // The response depends on who is asking, so caches must key on the user agent
+    res.set({
+      Vary: 'User-Agent',
+      'Cache-Control': 'public, max-age=300'
+    });
+
+    if (!isPreviewBot(req.get('User-Agent'))) {
+      return res.redirect(302, meta.url);
+    }
+
+    const oembedUrl = `${getApiOrigin(req)}/oembed?format=json&url=${encodeURIComponent(buildStoryUrl(story))}`;
+    res.type('html').send(renderSharePage(meta, { oembedUrl }));
+  } catch (error) {
+    console.error('Error rendering share page:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// oEmbed provider (https://oembed.com) for story short links and permalinks
+router.get('/oembed', async (req, res) => {
+  try {
+    const format = req.query.format || 'json';
+    if (!['json', 'xml'].includes(format)) {
+      return res.status(501).json({ error: 'Unsupported oEmbed format' });
+    }
+
+    if (!req.query.url) {
+      return res.status(400).json({ error: 'url parameter is required' });
+    }
+
+    const identifier = parseEmbedUrl(req.query.url, {
+      allowedHosts: [new URL(getApiOrigin(req)).host]
+    });
+    const { story, language } = identifier
+      ? await resolveShareStory(identifier)
+      : { story: null, language: null };
+
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    const oembed = buildOEmbed(await buildShareMeta(story, language), {
+      maxwidth: parseInt(req.query.maxwidth) || null,
+      maxheight: parseInt(req.query.maxheight) || null
+    });
+
+    res.set('Cache-Control', 'public, max-age=3600');
+    if (format === 'xml') {
+      return res.type('text/xml; charset=utf-8').send(renderOEmbedXml(oembed));
+    }
+    res.json(oembed);
+  } catch (error) {
+    console.error('Error building oEmbed response:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,56 @@
+const express = require('express');
+const {
+  buildSitemapIndex,
+  buildStoriesSitemap,
+  buildNewsSitemap
+} = require('../services/sitemaps');
+const { getApiOrigin } = require('../utils/urls');
+
+const router = express.Router();
+
+const sendXml = (res, body) => {
+  res.set('Cache-Control', 'public, max-age=600');
+  res.type('application/xml; charset=utf-8').send(body);
+};
+
+// Sitemap index pointing at the paginated story sitemaps and the news sitemap
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    sendXml(res, await buildSitemapIndex(getApiOrigin(req)));
+  } catch (error) {
+    console.error('Error building sitemap index:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// One page of published stories
+router.get('/sitemaps/stories-:page.xml', async (req, res) => {
+  try {
+    const page = parseInt(req.params.page);
+    if (!page || page < 1) {
+      return res.status(404).json({ error: 'Sitemap not found' });
+    }
+
+    const body = await buildStoriesSitemap(getApiOrigin(req), page);
+    if (!body) {
+      return res.status(404).json({ error: 'Sitemap not found' });
+    }
+
+    sendXml(res, body);
+  } catch (error) {
+    console.error('Error building stories sitemap:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Google News sitemap (stories published in the last 48 hours)
+router.get('/news-sitemap.xml', async (req, res) => {
+  try {
+    sendXml(res, await buildNewsSitemap(getApiOrigin(req)));
+  } catch (error) {
+    console.error('Error building news sitemap:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
@@ -1,41 +1,154 @@
 const express = require('express');
-const { body, query, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
+const Joi = require('joi');
 const Story = require('../models/Story');
-const { auth, requireAdmin } = require('../middleware/auth');
+const Tag = require('../models/Tag');
+const StoryTranslation = require('../models/StoryTranslation');
+const PreviewToken = require('../models/PreviewToken');
+const { auth, optionalAuth, requireAdmin } = require('../middleware/auth');
+const { snapshotStory, recordRevision } = require('../services/revisions');
+const { getSeriesPosition } = require('../services/series');
+const { moveToTrash, getRetentionDays } = require('../services/trash');
+const { verifyPreviewToken } = require('../services/preview');
+const { getSlot, getSlotStories } = require('../services/curation');
+const { MAX_QUERY_LENGTH, searchStories } = require('../services/search');
+const { MAX_SUGGESTIONS, getSuggestions, recordSearchMiss } = require('../services/suggest');
+const { MAX_RELATED_LIMIT, getRelatedStories } = require('../services/related');
+const { getPublicIdFromUrl } = require('../services/cloudinary');
+const {
+  localizeStories,
+  localizeStory,
+  getAlternates,
+  findTranslationBySlug
+} = require('../services/translations');
+const { transformStoryForFrontend } = require('../utils/storyTransform');
+const {
+  setVersionHeaders,
+  getExpectedVersion,
+  isStaleVersion,
+  sendVersionConflict
+} = require('../utils/versioning');
+const { usesCursorPagination, decodeCursor, paginateByCursor } = require('../utils/cursor');
 
 const router = express.Router();
 
-// Helper function to transform story for frontend compatibility
-const transformStoryForFrontend = (story) => {
-  const storyObj = story.toObject ? story.toObject() : story;
-  
-  // Set defaults if missing
-  if (!storyObj.excerpt && storyObj.content) {
-    const plainText = storyObj.content.replace(/<[^>]*>/g, '');
-    storyObj.excerpt = plainText.length > 200 ? plainText.substring(0, 200) + '...' : plainText;
-  }
-  if (storyObj.isFeatured === undefined) storyObj.isFeatured = false;
-  
-  // Handle featured image
-  // Set featuredImage properly - prioritize featuredImage field, then image.url, then default logo
-  if (storyObj.featuredImage) {
-    // Keep existing featuredImage
-  } else if (storyObj.image && storyObj.image.url) {
-    storyObj.featuredImage = storyObj.image.url;
+// Find a published story by its own slug or the slug of one of its translations
+const findPublishedBySlug = async (slug) => {
+  const populateStory = (query) => query
+    .select('-markdownSource')
+    .populate('author', 'name email')
+    .populate('category', 'name slug');
+
+  const story = await populateStory(Story.findOne({ slug, isPublished: true }));
+  if (story) {
+    return { story, language: null };
+  }
+
+  const translation = await findTranslationBySlug(slug);
+  if (!translation) {
+    return { story: null, language: null };
+  }
+
+  return {
+    story: await populateStory(Story.findOne({ _id: translation.story, isPublished: true })),
+    language: translation.language
+  };
+};
+
+// Shape a single story response with its series position and language alternates
+const buildStoryResponse = async (story, lang) => {
+  const localized = await localizeStory(transformStoryForFrontend(story.toJSON()), lang);
+
+  return {
+    ...localized,
+    seriesInfo: await getSeriesPosition(story),
+    alternates: await getAlternates(story)
+  };
+};
+
+// Answer a retired slug with a pointer to the story's current slug.
+// Clients get a JSON redirect payload; `?follow=true` sends a real 301 instead.
+const sendSlugRedirect = async (req, res, slug, buildPath) => {
+  const story = await Story.findOne({ previousSlugs: slug, isPublished: true })
+    .select('slug');
+
+  if (!story) {
+    return false;
+  }
+
+  const location = `${req.baseUrl}${buildPath(story.slug)}`;
+
+  if (req.query.follow === 'true') {
+    res.redirect(301, location);
   } else {
-    storyObj.featuredImage = '/storiva-logo.jpeg';
+    res.json({
+      success: true,
+      redirect: true,
+      statusCode: 301,
+      slug: story.slug,
+      location
+    });
   }
-  
-  return storyObj;
+  return true;
 };
 
+// Respond with the next/previous part of the current story's series
+const sendSeriesNeighbour = async (res, currentStory, direction) => {
+  const position = await getSeriesPosition(currentStory);
+
+  if (!position) {
+    return res.status(404).json({ error: 'Story is not part of a published series' });
+  }
+
+  const targetId = direction === 'next' ? position.nextStoryId : position.previousStoryId;
+
+  // No wrap-around inside a series: the first/last part has no neighbour
+  if (!targetId) {
+    return res.json({
+      success: true,
+      story: null,
+      seriesInfo: position
+    });
+  }
+
+  const targetStory = await Story.findById(targetId)
+    .populate('author', 'name email')
+    .select('-socialMediaPosts -content -markdownSource -__v');
+
+  res.json({
+    success: true,
+    story: {
+      ...transformStoryForFrontend(targetStory),
+      seriesInfo: await getSeriesPosition(targetStory)
+    },
+    seriesInfo: position
+  });
+};
+
+// Sort orders for the public story list, with page numbers or cursors
+const STORY_SORTS = {
+  newest: { key: 'newest', field: 'createdAt', order: -1 },
+  oldest: { key: 'oldest', field: 'createdAt', order: 1 },
+  popular: { key: 'popular', field: 'views', order: -1 }
+};
+
+// Query parameters shared by every listing that can page by cursor
+const cursorPaginationValidators = [
+  query('paginate').optional().isIn(['page', 'cursor']),
+  query('cursor').optional().isString(),
+  query('includeTotal').optional().isBoolean()
+];
+
 // Get all stories (public route for published stories, admin route for all)
+// Page with ?page=N, or with ?paginate=cursor and then the returned nextCursor/prevCursor
 router.get('/', [
   query('page').optional().isInt({ min: 1 }),
   query('limit').optional().isInt({ min: 1, max: 100 }),
-  query('search').optional().isLength({ min: 1 }),
+  query('search').optional().isLength({ min: 1, max: MAX_QUERY_LENGTH }),
   query('featured').optional().isBoolean(),
-  query('tag').optional().isLength({ min: 1 })
+  query('tag').optional().isLength({ min: 1 }),
+  query('sort').optional().isIn(Object.keys(STORY_SORTS)),
+  ...cursorPaginationValidators
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -49,6 +162,9 @@ router.get('/', [
     const search = req.query.search;
     const featured = req.query.featured;
     const tag = req.query.tag;
+    const sort = STORY_SORTS[req.query.sort || 'newest'];
+    const useCursor = usesCursorPagination(req);
+    const includeTotal = req.query.includeTotal === 'true';
     
     let query = {};
     
@@ -56,15 +172,6 @@ router.get('/', [
     // Admin routes should use /admin/stories endpoint instead
     query.isPublished = true;
 
-    // Add search functionality
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
-        { excerpt: { $regex: search, $options: 'i' } }
-      ];
-    }
-
     // Add featured filtering
     if (featured !== undefined) {
       query.isFeatured = featured === 'true' || featured === true;
@@ -72,21 +179,72 @@ router.get('/', [
 
     // Add tag filtering
     if (tag) {
-      query.tags = { $in: [tag] };
+      query.tags = { $in: [Tag.normalize(tag)] };
     }
-    
-    const stories = await Story.find(query)
+
+    // Searches go through the text index and come back ranked by relevance
+    if (search) {
+      const { stories, total, pagination } = await searchStories({
+        q: search,
+        page,
+        limit,
+        filter: query,
+        useCursor,
+        cursor: req.query.cursor,
+        includeTotal
+      });
+      // Only misses of the text alone point at content gaps, not ones a
+      // featured or tag filter caused
+      const textOnly = Object.keys(query).every(key => key === 'isPublished');
+      if (textOnly && stories.length === 0 && page === 1 && !req.query.cursor) {
+        recordSearchMiss(search, 'search');
+      }
+
+      return res.json({
+        success: true,
+        stories: await localizeStories(stories.map(transformStoryForFrontend), req.query.lang),
+        pagination: pagination
+          ? { ...pagination, ...(total !== undefined ? { total } : {}) }
+          : { page, limit, total, pages: Math.ceil(total / limit) }
+      });
+    }
+
+    const findStories = () => Story.find(query)
       .populate('author', 'name email')
-      .sort({ createdAt: -1 })
+      .select('-socialMediaPosts -content -markdownSource -__v');
+
+    if (useCursor) {
+      const { items, pagination } = await paginateByCursor({
+        sort,
+        cursor: req.query.cursor ? decodeCursor(req.query.cursor, sort) : null,
+        limit,
+        fetch: (cursorFilter, sortSpec, count) => {
+          const find = findStories().sort(sortSpec).limit(count);
+          return cursorFilter ? find.and([cursorFilter]) : find;
+        }
+      });
+
+      if (includeTotal) {
+        pagination.total = await Story.countDocuments(query);
+      }
+
+      return res.json({
+        success: true,
+        stories: await localizeStories(items.map(transformStoryForFrontend), req.query.lang),
+        pagination
+      });
+    }
+    
+    const stories = await findStories()
+      .sort({ [sort.field]: sort.order, _id: sort.order })
       .skip(skip)
-      .limit(limit)
-      .select('-socialMediaPosts -content -__v');
+      .limit(limit);
     
     const total = await Story.countDocuments(query);
     
     res.json({
       success: true,
-      stories: stories.map(transformStoryForFrontend),
+      stories: await localizeStories(stories.map(transformStoryForFrontend), req.query.lang),
       pagination: {
         page,
         limit,
@@ -96,42 +254,27 @@ router.get('/', [
     });
   } catch (error) {
     console.error('Error fetching stories:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get featured stories (most viewed stories)
+// Get featured stories (editors' picks, topped up with the most viewed)
 router.get('/featured', async (req, res) => {
   try {
+    const slot = await getSlot('editors-picks');
     const limit = parseInt(req.query.limit) || 10;
-    
-    // Get stories with highest view count instead of isFeatured flag
-    const stories = await Story.find({ 
-      isPublished: true,
-      views: { $gt: 0 } // Only include stories that have been viewed
-    })
-    .populate('author', 'name email')
-    .sort({ views: -1, createdAt: -1 }) // Sort by views (highest first), then by creation date
-    .limit(limit)
-    .select('-socialMediaPosts -content -__v');
-
-    // If we don't have enough viewed stories, fill with latest published stories
-    if (stories.length < limit) {
-      const additionalStories = await Story.find({ 
-        isPublished: true,
-        _id: { $nin: stories.map(s => s._id) } // Exclude already selected stories
-      })
-      .populate('author', 'name email')
-      .sort({ createdAt: -1 })
-      .limit(limit - stories.length)
-      .select('-socialMediaPosts -content -__v');
 
-      stories.push(...additionalStories);
-    }
+    // Editors' picks first, then the most-viewed stories to fill the list
+    const { stories } = await getSlotStories(slot, { limit });
 
     res.json({
       success: true,
-      stories: stories.map(transformStoryForFrontend)
+      stories: await localizeStories(stories.map(transformStoryForFrontend), req.query.lang)
     });
   } catch (error) {
     console.error('Error fetching featured stories:', error);
@@ -148,11 +291,11 @@ router.get('/latest', async (req, res) => {
     .populate('author', 'name email')
     .sort({ createdAt: -1 })
     .limit(limit)
-    .select('-socialMediaPosts -content -__v');
+    .select('-socialMediaPosts -content -markdownSource -__v');
 
     res.json({
       success: true,
-      stories: stories.map(transformStoryForFrontend)
+      stories: await localizeStories(stories.map(transformStoryForFrontend), req.query.lang)
     });
   } catch (error) {
     console.error('Error fetching latest stories:', error);
@@ -160,59 +303,142 @@ router.get('/latest', async (req, res) => {
   }
 });
 
-// Search stories
-router.get('/search', async (req, res) => {
+// Search stories by relevance, with highlighted snippets, tag facets and spelling suggestions
+router.get('/search', [
+  query('q').trim().isLength({ min: 1, max: MAX_QUERY_LENGTH }).withMessage('Search query is required'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 }),
+  query('tags').optional().isString(),
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601(),
+  ...cursorPaginationValidators
+], async (req, res) => {
   try {
-    const { q: query, page = 1, limit = 12 } = req.query;
-    
-    if (!query) {
-      return res.status(400).json({ error: 'Search query is required' });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
     }
 
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    
-    const searchQuery = {
-      isPublished: true,
-      $or: [
-        { title: { $regex: query, $options: 'i' } },
-        { content: { $regex: query, $options: 'i' } },
-        { excerpt: { $regex: query, $options: 'i' } },
-        { tags: { $regex: query, $options: 'i' } }
-      ]
-    };
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    // Comma-separated tags narrow the results to stories carrying all of them
+    const tags = (req.query.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+    const { stories, total, pagination, facets, didYouMean } = await searchStories({
+      q: req.query.q,
+      page,
+      limit,
+      tags,
+      from: req.query.from,
+      to: req.query.to,
+      useCursor: usesCursorPagination(req),
+      cursor: req.query.cursor,
+      includeTotal: req.query.includeTotal === 'true'
+    });
+
+    // Unfiltered searches that find nothing point at content gaps
+    const firstPage = page === 1 && !req.query.cursor;
+    if (firstPage && stories.length === 0 && tags.length === 0 && !req.query.from && !req.query.to) {
+      recordSearchMiss(req.query.q, 'search');
+    }
 
-    const stories = await Story.find(searchQuery)
-      .populate('author', 'name email')
-      .sort({ createdAt: -1 })
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('-socialMediaPosts -content -__v');
-    
-    const total = await Story.countDocuments(searchQuery);
-    
     res.json({
       success: true,
-      stories: stories.map(transformStoryForFrontend),
-      pagination: {
-        page: parseInt(page),
-        limit: parseInt(limit),
-        total,
-        pages: Math.ceil(total / parseInt(limit))
-      }
+      stories: await localizeStories(stories.map(transformStoryForFrontend), req.query.lang),
+      pagination: pagination
+        ? { ...pagination, ...(total !== undefined ? { total } : {}) }
+        : { page, limit, total, pages: Math.ceil(total / limit) },
+      facets,
+      didYouMean
     });
   } catch (error) {
     console.error('Error searching stories:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
     res.status(500).json({ error: 'Internal server error', details: error.message });
   }
 });
 
+// Typeahead suggestions: story titles and tags starting with what the reader typed
+router.get('/suggest', [
+  query('q').isString().isLength({ max: MAX_QUERY_LENGTH }),
+  query('limit').optional().isInt({ min: 1, max: MAX_SUGGESTIONS })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    // No miss is recorded here: every prefix typed on the way to a real query
+    // would be logged. Full searches record theirs.
+    const suggestions = await getSuggestions(req.query.q, {
+      limit: parseInt(req.query.limit) || undefined
+    });
+
+    res.set('Cache-Control', 'public, max-age=60');
+    res.json({
+      success: true,
+      query: req.query.q,
+      suggestions
+    });
+  } catch (error) {
+    console.error('Error fetching search suggestions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Preview an unpublished story through a signed preview link (no view counting)
+router.get('/preview/:token', async (req, res) => {
+  try {
+    const previewLink = await verifyPreviewToken(req.params.token);
+
+    const story = await Story.findById(previewLink.story)
+      .select('-markdownSource')
+      .populate('author', 'name email')
+      .populate('category', 'name slug');
+
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    await PreviewToken.updateOne(
+      { _id: previewLink._id },
+      { $set: { lastUsedAt: new Date() }, $inc: { useCount: 1 } }
+    );
+
+    // Drafts must never be cached or indexed
+    res.set('Cache-Control', 'no-store');
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+
+    res.json({
+      success: true,
+      preview: true,
+      expiresAt: previewLink.expiresAt,
+      story: await buildStoryResponse(story, req.query.lang)
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    console.error('Error fetching story preview:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 // Get story by slug
 router.get('/slug/:slug', async (req, res) => {
   try {
-    const story = await Story.findOne({ slug: req.params.slug, isPublished: true })
-      .populate('author', 'name email');
+    const { story, language } = await findPublishedBySlug(req.params.slug);
     
     if (!story) {
+      if (await sendSlugRedirect(req, res, req.params.slug, slug => `/slug/${slug}`)) {
+        return;
+      }
       return res.status(404).json({ error: 'Story not found' });
     }
 
@@ -220,9 +446,10 @@ router.get('/slug/:slug', async (req, res) => {
     story.views += 1;
     await story.save();
 
+    // Public read: left to Express's body ETag, as in GET /:identifier
     res.json({
       success: true,
-      story
+      story: await buildStoryResponse(story, req.query.lang || language)
     });
   } catch (error) {
     console.error('Error fetching story by slug:', error);
@@ -231,22 +458,29 @@ router.get('/slug/:slug', async (req, res) => {
 });
 
 // Get single story by ID or slug
-router.get('/:identifier', async (req, res) => {
+router.get('/:identifier', optionalAuth, async (req, res) => {
   try {
     const identifier = req.params.identifier;
     let story;
+    let language = null;
     
-    // Try to find by ObjectId first, then by slug
+    // Try to find by ObjectId first, then by slug. Only admins see unpublished
+    // stories by ID; everyone else needs a preview link.
     if (identifier.match(/^[0-9a-fA-F]{24}$/)) {
-      story = await Story.findById(identifier).populate('author', 'name email');
+      story = await Story.findOne({
+        _id: identifier,
+        ...(req.user?.role === 'admin' ? {} : { isPublished: true })
+      }).populate('author', 'name email')
+        .populate('category', 'name slug');
     } else {
-      story = await Story.findOne({ slug: identifier, isPublished: true })
-        .populate('author', 'name email');
+      ({ story, language } = await findPublishedBySlug(identifier));
       
       // Increment view count for published stories accessed by slug
       if (story) {
         story.views += 1;
         await story.save();
+      } else if (await sendSlugRedirect(req, res, identifier, slug => `/${slug}`)) {
+        return;
       }
     }
     
@@ -254,9 +488,15 @@ router.get('/:identifier', async (req, res) => {
       return res.status(404).json({ error: 'Story not found' });
     }
 
+    // Editors get the version ETag to send back as If-Match. Public reads
+    // get Express's body ETag: views, translations and related content change
+    // the response without bumping the version.
+    if (req.user?.role === 'admin') {
+      setVersionHeaders(res, story);
+    }
     res.json({
       success: true,
-      story: transformStoryForFrontend(story)
+      story: await buildStoryResponse(story, req.query.lang || language)
     });
   } catch (error) {
     console.error('Error fetching story:', error);
@@ -266,16 +506,26 @@ router.get('/:identifier', async (req, res) => {
 });
 
 // Create story (admin only)
+// New stories enter the workflow at the start; approval and publishing go
+// through the transitions on PUT /:id and the admin workflow endpoint
+const INITIAL_STORY_STATES = ['draft', 'in_review'];
+
 router.post('/', requireAdmin, [
   body('title').isLength({ min: 1, max: 200 }).trim(),
   body('excerpt').optional().isLength({ max: 500 }).trim(),
   body('content').isLength({ min: 1 }).trim(),
+  body('contentFormat').optional().isIn(['html', 'markdown']),
+  body('language').optional().matches(/^[a-z]{2}(-[a-z]{2})?$/i),
   body('featuredImage').optional().isString(),
   body('featured').optional().isBoolean(),
-  body('status').optional().isIn(['draft', 'published']),
+  body('status').optional().isIn(INITIAL_STORY_STATES)
+    .withMessage(`New stories must start as ${INITIAL_STORY_STATES.join(' or ')}`),
   body('tags').optional().isArray(),
+  body('category').optional({ nullable: true }).isMongoId(),
   body('metaDescription').optional().isLength({ max: 160 }),
   body('scheduledAt').optional().isISO8601(),
+  body('unpublishAt').optional({ nullable: true }).isISO8601(),
+  body('expiryAction').optional().isIn(['unpublish', 'archive']),
   body('video').optional().isObject(),
   body('socialMediaPosts').optional().isObject(),
   body('publishToPlatforms').optional().isObject()
@@ -293,8 +543,10 @@ router.post('/', requireAdmin, [
       title: req.body.title,
       excerpt: req.body.excerpt,
       content: req.body.content,
+      contentFormat: req.body.contentFormat || 'html',
+      language: req.body.language,
       isFeatured: req.body.featured || false,
-      isPublished: req.body.status === 'published' || true, // Default to published
+      status: req.body.status || 'draft',
       author: req.user._id
     };
 
@@ -302,7 +554,7 @@ router.post('/', requireAdmin, [
     if (req.body.featuredImage) {
       storyData.image = {
         url: req.body.featuredImage,
-        publicId: `story-${Date.now()}`
+        publicId: getPublicIdFromUrl(req.body.featuredImage) || undefined
       };
     }
 
@@ -310,6 +562,7 @@ router.post('/', requireAdmin, [
     if (req.body.video) {
       storyData.video = {
         url: req.body.video.url || '',
+        publicId: getPublicIdFromUrl(req.body.video.url) || undefined,
         caption: req.body.video.caption || '',
         hashtags: req.body.video.hashtags || [],
         firstComment: req.body.video.firstComment || ''
@@ -321,6 +574,16 @@ router.post('/', requireAdmin, [
       storyData.tags = req.body.tags;
     }
 
+    // Markdown stories keep the source; the model renders `content` from it
+    if (storyData.contentFormat === 'markdown') {
+      storyData.markdownSource = req.body.content;
+    }
+
+    // Handle category
+    if (req.body.category) {
+      storyData.category = req.body.category;
+    }
+
     // Handle meta description
     if (req.body.metaDescription) {
       storyData.metaDescription = req.body.metaDescription;
@@ -361,10 +624,16 @@ router.post('/', requireAdmin, [
       console.log('Final socialMediaPosts:', storyData.socialMediaPosts);
     }
 
-    // Handle scheduled publishing
+    // Remember the planned publish time; the story is only scheduled once it
+    // has been approved
     if (req.body.scheduledAt) {
       storyData.scheduledDate = new Date(req.body.scheduledAt);
-      storyData.isPublished = false;
+    }
+
+    // Handle the end of the publish window
+    if (req.body.unpublishAt) {
+      storyData.unpublishAt = new Date(req.body.unpublishAt);
+      storyData.expiryAction = req.body.expiryAction || 'unpublish';
     }
 
     console.log('Final story data:', JSON.stringify(storyData, null, 2));
@@ -372,9 +641,13 @@ router.post('/', requireAdmin, [
     const story = new Story(storyData);
     await story.save();
 
+    // Initial revision so later edits can be diffed against the original
+    await recordRevision(story, { editedBy: req.user._id });
+
     const populatedStory = await Story.findById(story._id)
       .populate('author', 'name email');
 
+    setVersionHeaders(res, populatedStory);
     res.status(201).json({
       success: true,
       story: populatedStory
@@ -399,73 +672,277 @@ router.post('/', requireAdmin, [
   }
 });
 
+// Fields a client may change through PUT /:id. Server-managed fields are
+// listed as forbidden so the client gets a clear error instead of a silent drop.
+const PROTECTED_STORY_FIELDS = [
+  '_id', 'id', '__v', 'views', 'author', 'slug', 'previousSlugs', 'statusHistory',
+  'createdAt', 'updatedAt', 'deletedAt', 'deletedBy', 'expiredAt',
+  'wordCount', 'readingTime', 'tableOfContents', 'series', 'image'
+];
+
+const socialPostUpdateSchema = Joi.object({
+  scheduledTime: Joi.date().iso().allow(null)
+});
+
+const storyUpdateSchema = Joi.object({
+  title: Joi.string().trim().min(1).max(200),
+  excerpt: Joi.string().trim().max(500).allow(''),
+  content: Joi.string().trim().min(1),
+  markdownSource: Joi.string(),
+  contentFormat: Joi.string().valid('html', 'markdown'),
+  language: Joi.string().pattern(/^[a-z]{2}(-[a-z]{2})?$/i),
+  featuredImage: Joi.string().allow('', null),
+  featured: Joi.boolean(),
+  status: Joi.string().valid(...Story.WORKFLOW_STATES),
+  isPublished: Joi.boolean(),
+  tags: Joi.array().items(Joi.string()),
+  category: Joi.string().hex().length(24).allow(null),
+  metaDescription: Joi.string().max(160).allow(''),
+  scheduledAt: Joi.date().iso().allow(null),
+  unpublishAt: Joi.date().iso().allow(null),
+  expiryAction: Joi.string().valid('unpublish', 'archive'),
+  video: Joi.object({
+    url: Joi.string().allow(''),
+    caption: Joi.string().allow(''),
+    hashtags: Joi.array().items(Joi.string()),
+    firstComment: Joi.string().allow('')
+  }).allow(null),
+  socialMediaPosts: Joi.object({
+    facebook: socialPostUpdateSchema.allow(null),
+    instagram: socialPostUpdateSchema.allow(null)
+  }),
+  publishToPlatforms: Joi.object({
+    facebook: Joi.boolean(),
+    instagram: Joi.boolean()
+  }),
+  version: Joi.number().integer().min(1)
+}).keys(Object.fromEntries(PROTECTED_STORY_FIELDS.map(field => [field, Joi.any().forbidden()])));
+
+/**
+ * Apply a validated update onto a story document, using the same field
+ * mapping as story creation. Status changes are handled separately.
+ */
+const applyStoryUpdate = (story, updates) => {
+  ['title', 'excerpt', 'contentFormat', 'language', 'metaDescription', 'expiryAction'].forEach(field => {
+    if (updates[field] !== undefined) {
+      story[field] = updates[field];
+    }
+  });
+
+  // Markdown stories send their source as `content` (or `markdownSource`);
+  // the model renders `content` from it on save
+  const contentFormat = updates.contentFormat || story.contentFormat;
+  if (contentFormat === 'markdown') {
+    const source = updates.markdownSource !== undefined ? updates.markdownSource : updates.content;
+    if (source !== undefined) {
+      story.markdownSource = source;
+      story.content = source;
+    }
+  } else if (updates.content !== undefined) {
+    story.content = updates.content;
+  }
+
+  if (updates.featured !== undefined) {
+    story.isFeatured = updates.featured;
+  }
+
+  // Handle featured image
+  if (updates.featuredImage !== undefined) {
+    if (!updates.featuredImage) {
+      story.image = undefined;
+    } else if (updates.featuredImage !== story.image?.url) {
+      story.image = {
+        url: updates.featuredImage,
+        publicId: getPublicIdFromUrl(updates.featuredImage) || undefined
+      };
+    }
+  }
+
+  // Handle video data
+  if (updates.video === null) {
+    story.video = undefined;
+  } else if (updates.video) {
+    ['url', 'caption', 'hashtags', 'firstComment'].forEach(field => {
+      if (updates.video[field] !== undefined) {
+        story.set(`video.${field}`, updates.video[field]);
+      }
+    });
+    if (updates.video.url !== undefined) {
+      story.set('video.publicId', getPublicIdFromUrl(updates.video.url) || undefined);
+    }
+  }
+
+  if (updates.tags !== undefined) {
+    story.tags = updates.tags;
+  }
+  if (updates.category !== undefined) {
+    story.category = updates.category || undefined;
+  }
+
+  if (updates.scheduledAt !== undefined) {
+    story.scheduledDate = updates.scheduledAt || undefined;
+  }
+
+  // Moving the publish window resets the expiry marker
+  if (updates.unpublishAt !== undefined) {
+    story.unpublishAt = updates.unpublishAt || undefined;
+    story.expiredAt = undefined;
+  }
+
+  // Replace the scheduled platforms with the selected ones. A platform whose
+  // time is unchanged keeps its posting state; a new time schedules it afresh.
+  if (updates.socialMediaPosts !== undefined) {
+    const selected = updates.publishToPlatforms;
+    ['facebook', 'instagram'].forEach(platform => {
+      const scheduledTime = updates.socialMediaPosts[platform]?.scheduledTime;
+      const isSelected = selected ? selected[platform] === true : true;
+      const current = story.socialMediaPosts[platform];
+
+      if (!scheduledTime || !isSelected) {
+        story.socialMediaPosts[platform] = undefined;
+      } else if (!current?.scheduledTime || current.scheduledTime.getTime() !== scheduledTime.getTime()) {
+        story.socialMediaPosts[platform] = {
+          scheduledTime,
+          posted: false,
+          failed: false,
+          error: null,
+          postedAt: null
+        };
+      }
+    });
+  }
+};
+
+/**
+ * Describe why the status inputs of an update contradict each other, or
+ * return null. `status`, `isPublished` and a schedule time can each imply a
+ * target, and picking one would silently drop the others.
+ */
+const findStatusConflict = (updates) => {
+  const publishNow = updates.status === 'published' || updates.isPublished === true;
+
+  if (updates.status !== undefined && updates.isPublished !== undefined &&
+      updates.isPublished !== (updates.status === 'published')) {
+    return `isPublished: ${updates.isPublished} contradicts status: ${updates.status}`;
+  }
+  if (updates.scheduledAt && publishNow) {
+    return 'A schedule time cannot be set while publishing immediately';
+  }
+  if (updates.scheduledAt && updates.isPublished === false) {
+    return 'A schedule time cannot be set while unpublishing; send a status instead';
+  }
+  return null;
+};
+
 // Update story (admin only)
 router.put('/:id', requireAdmin, async (req, res) => {
   try {
-    // Handle selective social media platform updates
-    const updateData = { ...req.body };
-    
-    // Only update social media posts if explicitly provided in request
-    // This preserves existing scheduled posts when user just updates story content
-    if (updateData.socialMediaPosts !== undefined) {
-      console.log('Update - received socialMediaPosts:', updateData.socialMediaPosts);
-      
-      // For edit operations, completely replace socialMediaPosts with only selected platforms
-      // This ensures when user changes from Facebook to Instagram, Facebook gets removed
-      const newSocialMediaPosts = {};
-      
-      // Only include platforms that are in the new update data and have actual scheduling data
-      Object.keys(updateData.socialMediaPosts).forEach(platform => {
-        const platformData = updateData.socialMediaPosts[platform];
-        if (platformData && platformData.scheduledTime) {
-          newSocialMediaPosts[platform] = {
-            ...platformData,
-            scheduledTime: new Date(platformData.scheduledTime)
-          };
-        }
+    const { error: validationError, value: updates } = storyUpdateSchema.validate(req.body, { abortEarly: false });
+    if (validationError) {
+      return res.status(400).json({
+        errors: validationError.details.map(detail => ({
+          msg: detail.message,
+          path: detail.path.join('.')
+        }))
       });
-      
-      updateData.socialMediaPosts = newSocialMediaPosts;
-      console.log('Final socialMediaPosts for update:', updateData.socialMediaPosts);
-    } else {
-      // If no socialMediaPosts in request, remove it from update data
-      // This preserves existing socialMediaPosts in database
-      delete updateData.socialMediaPosts;
-      console.log('No socialMediaPosts in request - preserving existing scheduled posts');
     }
 
-    const story = await Story.findByIdAndUpdate(
-      req.params.id,
-      updateData,
-      { new: true, runValidators: true }
-    ).populate('author', 'name email');
+    const statusConflict = findStatusConflict(updates);
+    if (statusConflict) {
+      return res.status(400).json({ error: statusConflict });
+    }
+
+    const story = await Story.findById(req.params.id);
 
     if (!story) {
       return res.status(404).json({ error: 'Story not found' });
     }
 
+    // Refuse writes made against a stale copy of the story
+    const expectedVersion = getExpectedVersion(req);
+    if (expectedVersion === null) {
+      return res.status(428).json({ error: 'Story version required: send an If-Match header or a version field' });
+    }
+    if (Number.isNaN(expectedVersion)) {
+      return res.status(400).json({ error: 'Invalid story version' });
+    }
+    if (isStaleVersion(expectedVersion, story)) {
+      await story.populate('author', 'name email');
+      return sendVersionConflict(res, story);
+    }
+
+    const previous = snapshotStory(story);
+
+    // Status changes must follow the editorial workflow. As with creation, a
+    // schedule time is only stored; moving to `scheduled` is a workflow step.
+    let requestedStatus = updates.status;
+    if (requestedStatus === undefined && updates.isPublished !== undefined) {
+      if (updates.isPublished) {
+        requestedStatus = 'published';
+      } else if (story.getWorkflowStatus() === 'published') {
+        requestedStatus = 'draft';
+      }
+    }
+
+    applyStoryUpdate(story, updates);
+
+    if (requestedStatus && requestedStatus !== story.getWorkflowStatus()) {
+      story.transitionTo(requestedStatus, req.user._id);
+    }
+
+    // save() runs the slug, tag, sanitizing, stats and excerpt hooks
+    await story.save();
+
+    // Keep the overwritten version recoverable
+    await recordRevision(story, { previous, editedBy: req.user._id });
+
+    const updatedStory = await Story.findById(story._id)
+      .populate('author', 'name email');
+
+    setVersionHeaders(res, updatedStory);
     res.json({
       success: true,
-      story
+      story: updatedStory
     });
   } catch (error) {
     console.error('Error updating story:', error);
+
+    if (error.name === 'WorkflowTransitionError') {
+      return res.status(400).json({ error: error.message, allowedTransitions: error.allowed });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors,
+        message: error.message
+      });
+    }
+    if (error.name === 'DocumentNotFoundError') {
+      const currentStory = await Story.findById(req.params.id).populate('author', 'name email').catch(() => null);
+      if (currentStory) {
+        return sendVersionConflict(res, currentStory);
+      }
+    }
+
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Delete story (admin only)
+// Delete story (admin only) - moves it to the trash, see /api/admin/trash
 router.delete('/:id', requireAdmin, async (req, res) => {
   try {
-    const story = await Story.findByIdAndDelete(req.params.id);
+    const story = await Story.findById(req.params.id);
     
     if (!story) {
       return res.status(404).json({ error: 'Story not found' });
     }
 
+    await moveToTrash(story, req.user._id);
+
     res.json({
       success: true,
-      message: 'Story deleted successfully'
+      message: 'Story moved to trash',
+      retentionDays: getRetentionDays()
     });
   } catch (error) {
     console.error('Error deleting story:', error);
@@ -482,12 +959,23 @@ router.patch('/:id/toggle-status', requireAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Story not found' });
     }
 
-    story.isPublished = !story.isPublished;
+    // Version checks are optional here, but honoured when the client sends one
+    const expectedVersion = getExpectedVersion(req);
+    if (Number.isNaN(expectedVersion)) {
+      return res.status(400).json({ error: 'Invalid story version' });
+    }
+    if (isStaleVersion(expectedVersion, story)) {
+      return sendVersionConflict(res, story);
+    }
+
+    // Unpublishing returns the story to draft; publishing requires approval first
+    story.transitionTo(story.isPublished ? 'draft' : 'published', req.user._id);
     await story.save();
 
     const updatedStory = await Story.findById(story._id)
       .populate('author', 'name email');
 
+    setVersionHeaders(res, updatedStory);
     res.json({
       success: true,
       story: updatedStory,
@@ -495,13 +983,135 @@ router.patch('/:id/toggle-status', requireAdmin, async (req, res) => {
     });
   } catch (error) {
     console.error('Error toggling story status:', error);
+
+    if (error.name === 'WorkflowTransitionError') {
+      return res.status(400).json({ error: error.message, allowedTransitions: error.allowed });
+    }
+    if (error.name === 'DocumentNotFoundError') {
+      const currentStory = await Story.findById(req.params.id).populate('author', 'name email').catch(() => null);
+      if (currentStory) {
+        return sendVersionConflict(res, currentStory);
+      }
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List translations of a story (admin only)
+router.get('/:id/translations', requireAdmin, async (req, res) => {
+  try {
+    const story = await Story.findById(req.params.id).select('slug language');
+
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    const translations = await StoryTranslation.find({ story: story._id })
+      .populate('translatedBy', 'name email')
+      .sort({ language: 1 });
+
+    res.json({
+      success: true,
+      language: story.language,
+      translations,
+      alternates: await getAlternates(story)
+    });
+  } catch (error) {
+    console.error('Error fetching translations:', error);
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Get related stories
-router.get('/:id/related', async (req, res) => {
+// Create or update a translation (admin only)
+router.put('/:id/translations/:lang', requireAdmin, [
+  param('lang').matches(/^[a-z]{2}(-[a-z]{2})?$/i),
+  body('title').isLength({ min: 1, max: 200 }).trim(),
+  body('content').isLength({ min: 1 }),
+  body('excerpt').optional().isLength({ max: 500 }).trim(),
+  body('metaDescription').optional().isLength({ max: 160 })
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const story = await Story.findById(req.params.id).select('language');
+    if (!story) {
+      return res.status(404).json({ error: 'Story not found' });
+    }
+
+    const language = req.params.lang.toLowerCase();
+    if (language === story.language) {
+      return res.status(400).json({ error: `The story itself is written in ${language}` });
+    }
+
+    let translation = await StoryTranslation.findOne({ story: story._id, language });
+    const isNew = !translation;
+    if (isNew) {
+      translation = new StoryTranslation({ story: story._id, language });
+    }
+
+    ['title', 'content', 'excerpt', 'metaDescription'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        translation[field] = req.body[field];
+      }
+    });
+    translation.translatedBy = req.user._id;
+    await translation.save();
+
+    res.status(isNew ? 201 : 200).json({
+      success: true,
+      translation
+    });
+  } catch (error) {
+    console.error('Error saving translation:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: 'Validation failed',
+        details: error.errors,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a translation (admin only)
+router.delete('/:id/translations/:lang', requireAdmin, async (req, res) => {
+  try {
+    const translation = await StoryTranslation.findOneAndDelete({
+      story: req.params.id,
+      language: req.params.lang.toLowerCase()
+    });
+
+    if (!translation) {
+      return res.status(404).json({ error: 'Translation not found' });
+    }
+
+    res.json({
+      success: true,
+      message: 'Translation deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting translation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get related stories, ranked by shared tags, similar text, series and author
+router.get('/:id/related', [
+  query('limit').optional().isInt({ min: 1, max: MAX_RELATED_LIMIT })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const story = await Story.findById(req.params.id);
     
     if (!story) {
@@ -509,46 +1119,7 @@ router.get('/:id/related', async (req, res) => {
     }
 
     const limit = parseInt(req.query.limit) || 4;
-
-    // Find random stories from last 30 days
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    
-    const relatedStories = await Story.aggregate([
-      {
-        $match: {
-          _id: { $ne: story._id }, // Exclude current story being viewed
-          isPublished: true,
-          createdAt: { $gte: thirtyDaysAgo }
-        }
-      },
-      { $sample: { size: limit } }, // Random selection
-      {
-        $lookup: {
-          from: 'users',
-          localField: 'author',
-          foreignField: '_id',
-          as: 'author'
-        }
-      },
-      {
-        $unwind: '$author'
-      },
-      {
-        $project: {
-          title: 1,
-          excerpt: 1,
-          slug: 1,
-          featuredImage: 1,
-          image: 1,
-          isFeatured: 1,
-          createdAt: 1,
-          views: 1,
-          tags: 1,
-          'author.name': 1,
-          'author.email': 1
-        }
-      }
-    ]);
+    const relatedStories = await getRelatedStories(story, { limit });
 
     res.json({
       success: true,
@@ -569,6 +1140,10 @@ router.get('/:id/next', async (req, res) => {
       return res.status(404).json({ error: 'Story not found' });
     }
 
+    if (req.query.mode === 'series') {
+      return sendSeriesNeighbour(res, currentStory, 'next');
+    }
+
     // Get all published stories sorted by creation date (newest first)
     const allStories = await Story.find({ isPublished: true })
       .sort({ createdAt: -1 })
@@ -587,7 +1162,7 @@ router.get('/:id/next', async (req, res) => {
 
     const nextStory = await Story.findById(allStories[nextIndex]._id)
       .populate('author', 'name email')
-      .select('-socialMediaPosts -content -__v');
+      .select('-socialMediaPosts -content -markdownSource -__v');
 
     res.json({
       success: true,
@@ -608,6 +1183,10 @@ router.get('/:id/previous', async (req, res) => {
       return res.status(404).json({ error: 'Story not found' });
     }
 
+    if (req.query.mode === 'series') {
+      return sendSeriesNeighbour(res, currentStory, 'previous');
+    }
+
     // Get all published stories sorted by creation date (newest first)
     const allStories = await Story.find({ isPublished: true })
       .sort({ createdAt: -1 })
@@ -626,7 +1205,7 @@ router.get('/:id/previous', async (req, res) => {
 
     const previousStory = await Story.findById(allStories[previousIndex]._id)
       .populate('author', 'name email')
-      .select('-socialMediaPosts -content -__v');
+      .select('-socialMediaPosts -content -markdownSource -__v');
 
     res.json({
       success: true,
@@ -0,0 +1,203 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Tag = require('../models/Tag');
+const Story = require('../models/Story');
+const { requireAdmin } = require('../middleware/auth');
+const { mergeTags, renameTag, removeTagFromStories, getTagCounts } = require('../services/tags');
+const { transformStoryForFrontend } = require('../utils/storyTransform');
+
+const router = express.Router();
+
+// Tag index with published story counts
+router.get('/', [
+  query('includeEmpty').optional().isBoolean()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const includeEmpty = req.query.includeEmpty === 'true';
+    const [tags, counts] = await Promise.all([
+      Tag.find().select('name slug description').lean(),
+      getTagCounts()
+    ]);
+
+    const result = tags
+      .map(tag => ({
+        ...tag,
+        storyCount: counts.get(tag.slug)?.count || 0,
+        totalViews: counts.get(tag.slug)?.views || 0
+      }))
+      .filter(tag => includeEmpty || tag.storyCount > 0)
+      .sort((a, b) => b.storyCount - a.storyCount || a.name.localeCompare(b.name));
+
+    res.json({
+      success: true,
+      tags: result
+    });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Merge tags into a target tag (admin only)
+router.post('/merge', requireAdmin, [
+  body('sources').isArray({ min: 1 }),
+  body('sources.*').isString(),
+  body('target').isString().isLength({ min: 1 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const result = await mergeTags(
+      req.body.sources.map(source => Tag.normalize(source)),
+      Tag.normalize(req.body.target)
+    );
+
+    res.json({
+      success: true,
+      ...result,
+      message: `Merged ${result.merged.length} tags into ${result.tag.slug}`
+    });
+  } catch (error) {
+    console.error('Error merging tags:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Tag detail with its published stories
+router.get('/:slug', [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const slug = Tag.normalize(req.params.slug);
+    const tag = await Tag.findOne({ slug }).select('name slug description');
+
+    // Old slugs point the client at the tag that replaced them
+    if (!tag) {
+      const canonical = await Tag.findOne({ aliases: slug }).select('slug');
+      if (canonical) {
+        return res.json({
+          success: true,
+          redirect: true,
+          slug: canonical.slug
+        });
+      }
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 12;
+    const skip = (page - 1) * limit;
+
+    const storyQuery = { isPublished: true, tags: tag.slug };
+
+    const [stories, total] = await Promise.all([
+      Story.find(storyQuery)
+        .populate('author', 'name email')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .select('-socialMediaPosts -content -markdownSource -__v'),
+      Story.countDocuments(storyQuery)
+    ]);
+
+    res.json({
+      success: true,
+      tag: { ...tag.toObject(), storyCount: total },
+      stories: stories.map(transformStoryForFrontend),
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching tag:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Rename a tag or update its description (admin only)
+router.put('/:slug', requireAdmin, [
+  body('name').optional().isString().isLength({ min: 1, max: 100 }),
+  body('description').optional().isLength({ max: 500 }).trim()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const slug = Tag.normalize(req.params.slug);
+    let result = { tag: await Tag.findOne({ slug }), storiesUpdated: 0 };
+
+    if (!result.tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    if (req.body.name !== undefined) {
+      result = await renameTag(slug, req.body.name);
+    }
+
+    if (req.body.description !== undefined) {
+      result.tag.description = req.body.description;
+      await result.tag.save();
+    }
+
+    res.json({
+      success: true,
+      ...result
+    });
+  } catch (error) {
+    console.error('Error updating tag:', error);
+
+    if (error.status) {
+      return res.status(error.status).json({ error: error.message });
+    }
+
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete a tag and remove it from all stories (admin only)
+router.delete('/:slug', requireAdmin, async (req, res) => {
+  try {
+    const tag = await Tag.findOneAndDelete({ slug: Tag.normalize(req.params.slug) });
+
+    if (!tag) {
+      return res.status(404).json({ error: 'Tag not found' });
+    }
+
+    const storiesUpdated = await removeTagFromStories(tag.slug);
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully',
+      storiesUpdated
+    });
+  } catch (error) {
+    console.error('Error deleting tag:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+module.exports = router;
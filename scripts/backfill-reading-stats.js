@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const { computeContentStats } = require('../utils/contentStats');
+require('dotenv').config();
+
+async function backfillReadingStats() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Word count, reading time and outline are only computed when content is saved
+    const stories = Story.find()
+      .setOptions({ withDeleted: true })
+      .select('content')
+      .cursor();
+    let updated = 0;
+
+    for await (const story of stories) {
+      const { content, wordCount, readingTime, tableOfContents } = computeContentStats(story.content);
+
+      await Story.updateOne(
+        { _id: story._id },
+        { $set: { content, wordCount, readingTime, tableOfContents } }
+      );
+      updated++;
+    }
+
+    console.log(`Backfilled reading stats for ${updated} stories`);
+
+    await mongoose.disconnect();
+    console.log('Reading stats backfill completed successfully');
+  } catch (error) {
+    console.error('Error during reading stats backfill:', error);
+    process.exit(1);
+  }
+}
+
+backfillReadingStats();
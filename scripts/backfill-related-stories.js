@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const { refreshRelatedStories } = require('../services/related');
+require('dotenv').config();
+
+async function backfillRelatedStories() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Requests only serve precomputed lists, so compute one for every published story up front
+    const stories = Story.find({ isPublished: true })
+      .select('_id')
+      .cursor();
+    let computed = 0;
+
+    for await (const story of stories) {
+      await refreshRelatedStories(story._id);
+      computed++;
+
+      if (computed % 100 === 0) {
+        console.log(`Computed related stories for ${computed} stories`);
+      }
+    }
+
+    console.log(`Computed related stories for ${computed} stories`);
+
+    await mongoose.disconnect();
+    console.log('Related stories backfill completed successfully');
+  } catch (error) {
+    console.error('Error during related stories backfill:', error);
+    process.exit(1);
+  }
+}
+
+backfillRelatedStories();
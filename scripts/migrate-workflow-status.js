@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+require('dotenv').config();
+
+async function migrateWorkflowStatus() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const missingStatus = { status: { $exists: false } };
+
+    // Derive the workflow status from the legacy isPublished/scheduledDate fields
+    const published = await Story.updateMany(
+      { ...missingStatus, isPublished: true },
+      { $set: { status: 'published' } }
+    );
+    const scheduled = await Story.updateMany(
+      { ...missingStatus, isPublished: false, scheduledDate: { $exists: true, $ne: null } },
+      { $set: { status: 'scheduled' } }
+    );
+    const drafts = await Story.updateMany(
+      missingStatus,
+      { $set: { status: 'draft' } }
+    );
+
+    console.log(`Marked ${published.modifiedCount} stories as published`);
+    console.log(`Marked ${scheduled.modifiedCount} stories as scheduled`);
+    console.log(`Marked ${drafts.modifiedCount} stories as draft`);
+
+    await mongoose.disconnect();
+    console.log('Workflow migration completed successfully');
+  } catch (error) {
+    console.error('Error during workflow migration:', error);
+    process.exit(1);
+  }
+}
+
+migrateWorkflowStatus();
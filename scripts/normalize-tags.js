@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const Tag = require('../models/Tag');
+require('dotenv').config();
+
+async function normalizeTags() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Rewrite free-form tags to canonical slugs and register them in the tag registry,
+    // trashed stories included so they come back with canonical tags when restored
+    const stories = Story.find({ 'tags.0': { $exists: true } })
+      .setOptions({ withDeleted: true })
+      .select('tags')
+      .cursor();
+    let updated = 0;
+
+    for await (const story of stories) {
+      const tags = await Tag.resolve(story.tags);
+      const changed = tags.length !== story.tags.length ||
+        tags.some((tag, index) => tag !== story.tags[index]);
+
+      if (changed) {
+        await Story.updateOne({ _id: story._id }, { $set: { tags } });
+        updated++;
+      }
+    }
+
+    console.log(`Normalized tags on ${updated} stories`);
+    console.log(`Tag registry now holds ${await Tag.countDocuments()} tags`);
+
+    await mongoose.disconnect();
+    console.log('Tag normalization completed successfully');
+  } catch (error) {
+    console.error('Error during tag normalization:', error);
+    process.exit(1);
+  }
+}
+
+normalizeTags();
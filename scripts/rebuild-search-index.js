@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+require('dotenv').config();
+
+async function rebuildSearchIndex() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // A collection can only have one text index, so the old one has to go first
+    const indexes = await Story.collection.indexes();
+    const textIndexes = indexes.filter(index => index.key._fts === 'text' && index.name !== 'story_text_search');
+
+    for (const index of textIndexes) {
+      await Story.collection.dropIndex(index.name);
+      console.log(`Dropped text index ${index.name}`);
+    }
+
+    await Story.syncIndexes();
+    console.log('Search index rebuilt successfully');
+
+    await mongoose.disconnect();
+  } catch (error) {
+    console.error('Error rebuilding search index:', error);
+    process.exit(1);
+  }
+}
+
+rebuildSearchIndex();
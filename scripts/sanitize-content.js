@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const { sanitizeContent, normalizeExcerpt } = require('../utils/sanitize');
+require('dotenv').config();
+
+async function sanitizeExistingContent() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Stories saved before sanitization was added still hold the raw HTML
+    const stories = Story.find()
+      .setOptions({ withDeleted: true })
+      .select('content excerpt')
+      .cursor();
+    let updated = 0;
+
+    for await (const story of stories) {
+      const content = sanitizeContent(story.content);
+      const excerpt = story.excerpt ? normalizeExcerpt(story.excerpt) : story.excerpt;
+
+      if (content !== story.content || excerpt !== story.excerpt) {
+        await Story.updateOne({ _id: story._id }, { $set: { content, excerpt } });
+        updated++;
+      }
+    }
+
+    console.log(`Sanitized ${updated} stories`);
+
+    await mongoose.disconnect();
+    console.log('Content sanitization completed successfully');
+  } catch (error) {
+    console.error('Error during content sanitization:', error);
+    process.exit(1);
+  }
+}
+
+sanitizeExistingContent();
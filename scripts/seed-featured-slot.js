@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const { getSlot, setSlotEntries } = require('../services/curation');
+require('dotenv').config();
+
+async function seedFeaturedSlot() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Stories flagged with the legacy isFeatured become editors' picks, newest
+    // first, after any the editors have already picked
+    const slot = await getSlot('editors-picks');
+    const current = slot.entries.map(entry => entry.toObject());
+    const picked = new Set(current.map(entry => entry.story.toString()));
+
+    const featured = await Story.find({ isFeatured: true, isPublished: true })
+      .sort({ createdAt: -1 })
+      .select('_id');
+    const added = featured.filter(story => !picked.has(story._id.toString()));
+
+    if (added.length > 0) {
+      await setSlotEntries(slot, [...current, ...added.map(story => ({ story: story._id }))], null);
+    }
+
+    console.log(`Added ${added.length} featured stories to editors' picks`);
+
+    await mongoose.disconnect();
+    console.log('Featured slot seeding completed successfully');
+  } catch (error) {
+    console.error('Error seeding featured slot:', error);
+    process.exit(1);
+  }
+}
+
+seedFeaturedSlot();
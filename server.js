@@ -18,10 +18,19 @@ const authRoutes = require('./routes/auth');
 const storyRoutes = require('./routes/stories');
 const uploadRoutes = require('./routes/upload');
 const adminRoutes = require('./routes/admin');
+const categoryRoutes = require('./routes/categories');
+const tagRoutes = require('./routes/tags');
+const seriesRoutes = require('./routes/series');
+const curationRoutes = require('./routes/curation');
+const homeRoutes = require('./routes/home');
+const feedRoutes = require('./routes/feeds');
+const sitemapRoutes = require('./routes/sitemaps');
+const shareRoutes = require('./routes/share');
 
 // Import scheduler and pinger
 const { initializeScheduler } = require('./services/scheduler');
 const { initializePinger } = require('./services/serverPinger');
+const { refreshSuggestIndex } = require('./services/suggest');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
@@ -61,7 +70,8 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'If-Match'],
+  exposedHeaders: ['ETag']
 }));
 
 // Middleware
@@ -80,6 +90,8 @@ mongoose.connect(process.env.MONGODB_URI, {
   initializeScheduler();
   // Initialize server pinger to keep server alive
   initializePinger();
+  // Warm the search suggestion index so the first typeahead request is fast
+  refreshSuggestIndex().catch(error => console.error('Error building suggestion index:', error));
 })
 .catch((error) => {
   console.error('MongoDB connection error:', error);
@@ -91,6 +103,16 @@ app.use('/api/auth', authRoutes);
 app.use('/api/stories', storyRoutes);
 app.use('/api/upload', uploadRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/categories', categoryRoutes);
+app.use('/api/tags', tagRoutes);
+app.use('/api/series', seriesRoutes);
+app.use('/api/curation', curationRoutes);
+app.use('/api/home', homeRoutes);
+
+// Public feeds, sitemaps and share links live at the site root (/feed.xml, /sitemap.xml, /s/:id, /oembed)
+app.use('/', feedRoutes);
+app.use('/', sitemapRoutes);
+app.use('/', shareRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
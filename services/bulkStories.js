@@ -0,0 +1,207 @@
+const Story = require('../models/Story');
+const Tag = require('../models/Tag');
+const { snapshotStory, recordRevision } = require('./revisions');
+const { moveToTrash } = require('./trash');
+
+const BULK_ACTIONS = [
+  'publish',
+  'unpublish',
+  'addTags',
+  'removeTags',
+  'setFeatured',
+  'scheduleSocial',
+  'delete'
+];
+const SOCIAL_PLATFORMS = ['facebook', 'instagram'];
+const MAX_BULK_STORIES = 500;
+
+const bulkError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const normalizeTagList = (tags) => {
+  return [...new Set((tags || []).map(tag => Tag.normalize(tag)).filter(Boolean))];
+};
+
+// Check action parameters up front so a bad request fails before any story is touched
+const validateBulkParams = (action, params = {}) => {
+  if (!BULK_ACTIONS.includes(action)) {
+    throw bulkError(`Invalid action. Expected one of: ${BULK_ACTIONS.join(', ')}`);
+  }
+
+  if (action === 'addTags' || action === 'removeTags') {
+    if (!Array.isArray(params.tags) || normalizeTagList(params.tags).length === 0) {
+      throw bulkError('At least one tag is required');
+    }
+  }
+
+  if (action === 'setFeatured' && typeof params.featured !== 'boolean') {
+    throw bulkError('featured must be true or false');
+  }
+
+  if (action === 'scheduleSocial') {
+    const platforms = params.platforms || SOCIAL_PLATFORMS;
+    if (!Array.isArray(platforms) || platforms.length === 0 || platforms.some(platform => !SOCIAL_PLATFORMS.includes(platform))) {
+      throw bulkError(`Invalid platforms. Expected any of: ${SOCIAL_PLATFORMS.join(', ')}`);
+    }
+    if (!params.scheduledTime || isNaN(new Date(params.scheduledTime).getTime())) {
+      throw bulkError('A valid scheduledTime is required');
+    }
+  }
+};
+
+// Apply an action to a loaded story in memory and describe what changed
+const applyAction = (story, action, params, userId) => {
+  const changes = {};
+
+  switch (action) {
+    case 'publish':
+      if (story.getWorkflowStatus() !== 'published') {
+        changes.status = { from: story.getWorkflowStatus(), to: 'published' };
+        story.transitionTo('published', userId, 'Published in bulk');
+      }
+      break;
+
+    case 'unpublish':
+      if (story.getWorkflowStatus() === 'published') {
+        changes.status = { from: 'published', to: 'draft' };
+        story.transitionTo('draft', userId, 'Unpublished in bulk');
+      }
+      break;
+
+    case 'addTags': {
+      const added = normalizeTagList(params.tags).filter(tag => !story.tags.includes(tag));
+      if (added.length > 0) {
+        changes.tags = { added };
+        story.tags = [...story.tags, ...added];
+      }
+      break;
+    }
+
+    case 'removeTags': {
+      const toRemove = normalizeTagList(params.tags);
+      const removed = story.tags.filter(tag => toRemove.includes(tag));
+      if (removed.length > 0) {
+        changes.tags = { removed };
+        story.tags = story.tags.filter(tag => !toRemove.includes(tag));
+      }
+      break;
+    }
+
+    case 'setFeatured':
+      if (Boolean(story.isFeatured) !== params.featured) {
+        changes.isFeatured = { from: Boolean(story.isFeatured), to: params.featured };
+        story.isFeatured = params.featured;
+      }
+      break;
+
+    case 'scheduleSocial': {
+      if (!story.isPublished) {
+        const error = new Error('Only published stories can be scheduled for social media');
+        error.name = 'BulkActionError';
+        throw error;
+      }
+
+      const scheduledTime = new Date(params.scheduledTime);
+      (params.platforms || SOCIAL_PLATFORMS).forEach(platform => {
+        changes[platform] = { scheduledTime };
+        story.socialMediaPosts[platform] = {
+          scheduledTime,
+          posted: false,
+          failed: false,
+          error: null,
+          postedAt: null
+        };
+      });
+      break;
+    }
+
+    case 'delete':
+      changes.deleted = true;
+      break;
+  }
+
+  return changes;
+};
+
+/**
+ * Run one bulk action over the stories matching `query`. Each story is handled
+ * on its own so a failure is reported per item without aborting the batch.
+ * With `dryRun` the changes are computed and reported but nothing is saved.
+ * When explicit `ids` are given, any that do not match a story are reported too.
+ * An empty query is refused: it would match the whole catalogue.
+ */
+const runBulkAction = async ({ query, ids, action, params = {}, dryRun = false, userId }) => {
+  validateBulkParams(action, params);
+  if (!query || Object.keys(query).length === 0) {
+    throw bulkError('Bulk actions need ids or at least one filter criterion');
+  }
+
+  const matched = await Story.countDocuments(query);
+  const stories = await Story.find(query)
+    .sort({ createdAt: -1 })
+    .limit(MAX_BULK_STORIES);
+
+  const results = [];
+  for (const story of stories) {
+    const result = { id: story._id, title: story.title };
+
+    try {
+      const previous = snapshotStory(story);
+      const changes = applyAction(story, action, params, userId);
+      const changed = Object.keys(changes).length > 0;
+
+      if (!dryRun && changed) {
+        if (action === 'delete') {
+          await moveToTrash(story, userId);
+        } else {
+          await story.save();
+          await recordRevision(story, { previous, editedBy: userId });
+        }
+      }
+
+      result.success = true;
+      result.changed = changed;
+      result.changes = changes;
+    } catch (error) {
+      result.success = false;
+      result.error = error.name === 'DocumentNotFoundError'
+        ? 'Story was modified by someone else during the bulk operation'
+        : error.message;
+      if (error.name === 'WorkflowTransitionError') {
+        result.allowedTransitions = error.allowed;
+      } else if (!['BulkActionError', 'DocumentNotFoundError'].includes(error.name)) {
+        console.error(`Error applying bulk ${action} to story ${story._id}:`, error);
+      }
+    }
+
+    results.push(result);
+  }
+
+  if (ids) {
+    const found = new Set(stories.map(story => story._id.toString()));
+    ids.filter(id => !found.has(id.toString())).forEach(id => {
+      results.push({ id, success: false, error: 'Story not found' });
+    });
+  }
+
+  return {
+    action,
+    dryRun,
+    matched,
+    processed: results.length,
+    succeeded: results.filter(result => result.success).length,
+    failed: results.filter(result => !result.success).length,
+    truncated: matched > stories.length,
+    results
+  };
+};
+
+module.exports = {
+  BULK_ACTIONS,
+  MAX_BULK_STORIES,
+  validateBulkParams,
+  runBulkAction
+};
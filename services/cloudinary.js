@@ -50,6 +50,37 @@ const uploadVideo = async (file, folder = 'videos') => {
   }
 };
 
+// Transformation segments of a delivery URL, e.g. "c_fill,w_1200,h_800" or "f_auto"
+const TRANSFORMATION_SEGMENT = /^(a|ar|b|bo|c|co|d|dpr|e|f|fl|g|h|l|o|q|r|t|w|x|y|z)_[^,]*(,[a-z]+_[^,]*)*$/;
+
+/**
+ * Public ID of an asset from its Cloudinary delivery URL, or null for URLs
+ * hosted anywhere else. Handles transformations and version segments:
+ * https://res.cloudinary.com/demo/image/upload/c_fill,w_1200/v1712345678/stories/abc.jpg -> stories/abc
+ */
+const getPublicIdFromUrl = (url) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+  if (!/(^|\.)cloudinary\.com$/.test(parsed.hostname)) return null;
+
+  // /<cloud>/<resource type>/<delivery type>/[transformations/][version/]<public id>.<ext>
+  const segments = parsed.pathname.split('/').filter(Boolean).map(decodeURIComponent).slice(3);
+  const versionIndex = segments.findIndex(segment => /^v\d+$/.test(segment));
+  let rest = versionIndex === -1 ? segments : segments.slice(versionIndex + 1);
+  if (versionIndex === -1) {
+    while (rest.length > 1 && TRANSFORMATION_SEGMENT.test(rest[0])) {
+      rest = rest.slice(1);
+    }
+  }
+  if (rest.length === 0) return null;
+
+  return rest.join('/').replace(/\.[^./]+$/, '');
+};
+
 const deleteFromCloudinary = async (publicId, resourceType = 'image') => {
   try {
     const result = await cloudinary.uploader.destroy(publicId, {
@@ -66,5 +97,6 @@ module.exports = {
   uploadImage,
   uploadVideo,
   deleteFromCloudinary,
+  getPublicIdFromUrl,
   cloudinary
 };
\ No newline at end of file
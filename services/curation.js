@@ -0,0 +1,187 @@
+const CurationSlot = require('../models/CurationSlot');
+const Story = require('../models/Story');
+
+const LIST_FIELDS = '-socialMediaPosts -content -markdownSource -__v';
+
+const curationError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// Load a slot, or an unsaved one with the default settings if editors never touched it
+const getSlot = async (key) => {
+  const definition = CurationSlot.SLOT_DEFINITIONS[key];
+  if (!definition) {
+    throw curationError(`Unknown curation slot: ${key}`, 404);
+  }
+
+  const slot = await CurationSlot.findOne({ key });
+  return slot || new CurationSlot({ key, ...definition, entries: [] });
+};
+
+const isEntryActive = (entry, now = new Date()) => {
+  return (!entry.startsAt || entry.startsAt <= now) && (!entry.endsAt || entry.endsAt > now);
+};
+
+/**
+ * Replace the ordered entries of a slot. Stories must exist; repeated stories
+ * keep their first position.
+ */
+const setSlotEntries = async (slot, entries, updatedBy) => {
+  const seen = new Set();
+  const unique = entries.filter(entry => {
+    const id = entry.story.toString();
+    if (seen.has(id)) return false;
+    seen.add(id);
+    return true;
+  });
+
+  // Trashed stories may stay in a slot; they are hidden until restored
+  const found = await Story.countDocuments({ _id: { $in: [...seen] } }).setOptions({ withDeleted: true });
+  if (found !== seen.size) {
+    throw curationError('One or more stories were not found', 404);
+  }
+
+  slot.entries = unique.map(entry => ({
+    story: entry.story,
+    startsAt: entry.startsAt ? new Date(entry.startsAt) : undefined,
+    endsAt: entry.endsAt ? new Date(entry.endsAt) : undefined
+  }));
+  slot.updatedBy = updatedBy;
+  await slot.save();
+  return slot;
+};
+
+// Reorder a slot's entries (drag-and-drop) while keeping each entry's time window
+const reorderSlot = async (slot, storyIds, updatedBy) => {
+  const ids = storyIds.map(id => id.toString());
+  const current = new Map(slot.entries.map(entry => [entry.story.toString(), entry]));
+
+  if (ids.length !== current.size || new Set(ids).size !== ids.length || ids.some(id => !current.has(id))) {
+    throw curationError('Order must list every story in the slot exactly once', 400);
+  }
+
+  return setSlotEntries(slot, ids.map(id => current.get(id).toObject()), updatedBy);
+};
+
+// Insert a story at a 1-based position (appends when no position is given)
+const addSlotEntry = async (slot, { story, startsAt, endsAt, position }, updatedBy) => {
+  const entries = slot.entries
+    .map(entry => entry.toObject())
+    .filter(entry => entry.story.toString() !== story.toString());
+
+  const index = position ? Math.min(Math.max(position - 1, 0), entries.length) : entries.length;
+  entries.splice(index, 0, { story, startsAt, endsAt });
+
+  return setSlotEntries(slot, entries, updatedBy);
+};
+
+const removeSlotEntry = async (slot, storyId, updatedBy) => {
+  const entries = slot.entries
+    .map(entry => entry.toObject())
+    .filter(entry => entry.story.toString() !== storyId.toString());
+
+  return setSlotEntries(slot, entries, updatedBy);
+};
+
+/**
+ * Most-viewed published stories, topped up with the latest ones when too few
+ * have been viewed. Used to fill slots editors have not fully curated.
+ */
+const getPopularStories = async ({ limit, exclude = [] }) => {
+  if (limit <= 0) return [];
+
+  const stories = await Story.find({
+    isPublished: true,
+    views: { $gt: 0 },
+    _id: { $nin: exclude }
+  })
+    .populate('author', 'name email')
+    .sort({ views: -1, createdAt: -1 })
+    .limit(limit)
+    .select(LIST_FIELDS);
+
+  if (stories.length < limit) {
+    const additionalStories = await Story.find({
+      isPublished: true,
+      _id: { $nin: [...exclude, ...stories.map(story => story._id)] }
+    })
+      .populate('author', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit - stories.length)
+      .select(LIST_FIELDS);
+
+    stories.push(...additionalStories);
+  }
+
+  return stories;
+};
+
+/**
+ * Published stories for a slot: active curated entries in editor order, then
+ * the views-based fallback for any remaining places. Stories in `exclude`
+ * (already shown elsewhere on the page) are never used as fallback.
+ */
+const getSlotStories = async (slot, { limit = slot.limit, exclude = [], now = new Date() } = {}) => {
+  const activeIds = slot.entries
+    .filter(entry => isEntryActive(entry, now))
+    .map(entry => entry.story.toString());
+
+  const curated = activeIds.length > 0
+    ? await Story.find({ _id: { $in: activeIds }, isPublished: true })
+      .populate('author', 'name email')
+      .select(LIST_FIELDS)
+    : [];
+  const curatedMap = new Map(curated.map(story => [story._id.toString(), story]));
+  const stories = activeIds
+    .map(id => curatedMap.get(id))
+    .filter(Boolean)
+    .slice(0, limit);
+
+  const fallback = await getPopularStories({
+    limit: limit - stories.length,
+    exclude: [...exclude, ...stories.map(story => story._id)]
+  });
+
+  return {
+    curatedCount: stories.length,
+    stories: [...stories, ...fallback]
+  };
+};
+
+// Every homepage section in slot order, without repeating fallback stories across sections
+const getHomeSections = async ({ now = new Date() } = {}) => {
+  const saved = await CurationSlot.find({ key: { $in: CurationSlot.SLOT_KEYS } });
+  const savedMap = new Map(saved.map(slot => [slot.key, slot]));
+
+  const used = [];
+  const sections = [];
+  for (const key of CurationSlot.SLOT_KEYS) {
+    const slot = savedMap.get(key) || new CurationSlot({ key, ...CurationSlot.SLOT_DEFINITIONS[key], entries: [] });
+    const { stories, curatedCount } = await getSlotStories(slot, { exclude: used, now });
+    used.push(...stories.map(story => story._id));
+
+    sections.push({
+      key,
+      title: slot.title,
+      limit: slot.limit,
+      curatedCount,
+      stories
+    });
+  }
+
+  return sections;
+};
+
+module.exports = {
+  getSlot,
+  isEntryActive,
+  setSlotEntries,
+  reorderSlot,
+  addSlotEntry,
+  removeSlotEntry,
+  getPopularStories,
+  getSlotStories,
+  getHomeSections
+};
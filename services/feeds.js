@@ -0,0 +1,255 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const Tag = require('../models/Tag');
+const User = require('../models/User');
+const { getDefaultLanguage } = require('./translations');
+const { generateExcerpt, decodeEntities } = require('../utils/sanitize');
+const { getFrontendUrl, buildStoryUrl } = require('../utils/urls');
+const { escapeXml, cdata } = require('../utils/xml');
+
+const FEED_SIZE = 50;
+
+const getSiteName = () => process.env.SITE_NAME || 'StoryHub';
+
+// Publishers can limit feeds to excerpts so readers click through
+const includeFullContent = () => process.env.FEED_FULL_CONTENT !== 'false';
+
+const feedError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Work out which stories a feed covers. Tags resolve through aliases so
+ * renamed tags keep their feeds; authors are looked up by ID.
+ */
+const resolveFeedScope = async ({ tag, authorId } = {}) => {
+  const query = { isPublished: true };
+  const scope = { title: getSiteName(), description: `Latest stories from ${getSiteName()}` };
+
+  if (tag) {
+    const slug = Tag.normalize(tag);
+    const tagDoc = await Tag.findOne({ $or: [{ slug }, { aliases: slug }] }).select('name slug');
+    if (!tagDoc) {
+      throw feedError('Tag not found', 404);
+    }
+    query.tags = tagDoc.slug;
+    scope.title = `${getSiteName()}: ${tagDoc.name}`;
+    scope.description = `Stories tagged ${tagDoc.name}`;
+  }
+
+  if (authorId) {
+    const author = mongoose.isValidObjectId(authorId)
+      ? await User.findById(authorId).select('name')
+      : null;
+    if (!author) {
+      throw feedError('Author not found', 404);
+    }
+    query.author = author._id;
+    scope.title = `${getSiteName()}: ${author.name}`;
+    scope.description = `Stories by ${author.name}`;
+  }
+
+  return { query, ...scope };
+};
+
+// When a story last entered or left a workflow state, or was created.
+// updatedAt is no use here: every view count increment moves it.
+const getStatusChangedAt = (story) => {
+  const last = story.statusHistory?.[story.statusHistory.length - 1];
+  return last?.changedAt > story.createdAt ? last.changedAt : story.createdAt;
+};
+
+/**
+ * Cheap validators for a feed: an ETag over the IDs and editorial versions of
+ * the stories it would contain, and the newest publish time among them.
+ */
+const getFeedValidators = async (query, format) => {
+  const entries = await Story.find(query)
+    .sort({ createdAt: -1 })
+    .limit(FEED_SIZE)
+    .select('_id version createdAt statusHistory.changedAt')
+    .lean();
+
+  const hash = crypto.createHash('sha1').update(format);
+  let lastModified = null;
+  entries.forEach(entry => {
+    hash.update(`${entry._id}:${entry.version || 1}`);
+    const changedAt = getStatusChangedAt(entry);
+    if (!lastModified || changedAt > lastModified) {
+      lastModified = changedAt;
+    }
+  });
+
+  return {
+    etag: `"${hash.digest('hex')}"`,
+    lastModified: lastModified || new Date(0)
+  };
+};
+
+// Feed items with author names, in plain-object form
+const getFeedItems = async (query) => {
+  const stories = await Story.find(query)
+    .populate('author', 'name')
+    .sort({ createdAt: -1 })
+    .limit(FEED_SIZE)
+    .select('title slug excerpt content image tags author language createdAt updatedAt')
+    .lean();
+
+  return stories.map(story => ({
+    id: story._id.toString(),
+    url: buildStoryUrl(story),
+    title: story.title,
+    summary: story.excerpt || generateExcerpt(story.content),
+    content: includeFullContent() ? story.content : null,
+    image: story.image?.url || null,
+    authorName: story.author?.name || null,
+    tags: story.tags || [],
+    language: story.language,
+    published: story.createdAt,
+    updated: story.updatedAt
+  }));
+};
+
+const IMAGE_TYPES = { png: 'image/png', gif: 'image/gif', webp: 'image/webp', avif: 'image/avif' };
+
+const guessImageType = (url) => {
+  const extension = (url.split('?')[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+  return IMAGE_TYPES[extension?.toLowerCase()] || 'image/jpeg';
+};
+
+/**
+ * Render an RSS 2.0 feed
+ * @param {Object} feed - { title, description, selfUrl, homeUrl, language, updated, items }
+ * @returns {string} XML
+ */
+const renderRss = (feed) => {
+  const items = feed.items.map(item => [
+    '    <item>',
+    `      <title>${escapeXml(item.title)}</title>`,
+    `      <link>${escapeXml(item.url)}</link>`,
+    `      <guid isPermaLink="false">${escapeXml(item.id)}</guid>`,
+    `      <pubDate>${new Date(item.published).toUTCString()}</pubDate>`,
+    item.authorName ? `      <dc:creator>${escapeXml(item.authorName)}</dc:creator>` : null,
+    ...item.tags.map(tag => `      <category>${escapeXml(tag)}</category>`),
+    `      <description>${escapeXml(item.summary)}</description>`,
+    item.content ? `      <content:encoded>${cdata(item.content)}</content:encoded>` : null,
+    item.image ? `      <enclosure url="${escapeXml(item.image)}" length="0" type="${guessImageType(item.image)}" />` : null,
+    '    </item>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    '  <channel>',
+    `    <title>${escapeXml(feed.title)}</title>`,
+    `    <link>${escapeXml(feed.homeUrl)}</link>`,
+    `    <description>${escapeXml(feed.description)}</description>`,
+    `    <language>${escapeXml(feed.language)}</language>`,
+    `    <lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>`,
+    `    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml" />`,
+    ...items,
+    '  </channel>',
+    '</rss>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Render an Atom 1.0 feed
+ * @param {Object} feed - See renderRss
+ * @returns {string} XML
+ */
+const renderAtom = (feed) => {
+  const entries = feed.items.map(item => [
+    '  <entry>',
+    `    <id>${escapeXml(item.url)}</id>`,
+    `    <title>${escapeXml(item.title)}</title>`,
+    `    <link rel="alternate" type="text/html" href="${escapeXml(item.url)}" />`,
+    `    <published>${new Date(item.published).toISOString()}</published>`,
+    `    <updated>${new Date(item.updated).toISOString()}</updated>`,
+    item.authorName ? `    <author><name>${escapeXml(item.authorName)}</name></author>` : null,
+    ...item.tags.map(tag => `    <category term="${escapeXml(tag)}" />`),
+    `    <summary type="html">${escapeXml(item.summary)}</summary>`,
+    item.content ? `    <content type="html">${escapeXml(item.content)}</content>` : null,
+    item.image ? `    <link rel="enclosure" type="${guessImageType(item.image)}" href="${escapeXml(item.image)}" />` : null,
+    '  </entry>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<feed xmlns="http://www.w3.org/2005/Atom" xml:lang="${escapeXml(feed.language)}">`,
+    `  <id>${escapeXml(feed.selfUrl)}</id>`,
+    `  <title>${escapeXml(feed.title)}</title>`,
+    `  <subtitle>${escapeXml(feed.description)}</subtitle>`,
+    `  <updated>${feed.updated.toISOString()}</updated>`,
+    `  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}" />`,
+    `  <link rel="alternate" type="text/html" href="${escapeXml(feed.homeUrl)}" />`,
+    ...entries,
+    '</feed>',
+    ''
+  ].join('\n');
+};
+
+/**
+ * Render a JSON Feed 1.1 document
+ * @param {Object} feed - See renderRss
+ * @returns {Object}
+ */
+const renderJsonFeed = (feed) => ({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.homeUrl,
+  feed_url: feed.selfUrl,
+  description: feed.description,
+  language: feed.language,
+  items: feed.items.map(item => ({
+    id: item.id,
+    url: item.url,
+    title: item.title,
+    ...(item.content ? { content_html: item.content } : { content_text: decodeEntities(item.summary) }),
+    summary: decodeEntities(item.summary),
+    ...(item.image ? {
+      image: item.image,
+      attachments: [{ url: item.image, mime_type: guessImageType(item.image) }]
+    } : {}),
+    date_published: new Date(item.published).toISOString(),
+    date_modified: new Date(item.updated).toISOString(),
+    ...(item.authorName ? { authors: [{ name: item.authorName }] } : {}),
+    tags: item.tags,
+    language: item.language
+  }))
+});
+
+const FEED_FORMATS = {
+  'feed.xml': { contentType: 'application/rss+xml; charset=utf-8', render: renderRss },
+  'atom.xml': { contentType: 'application/atom+xml; charset=utf-8', render: renderAtom },
+  'feed.json': { contentType: 'application/feed+json; charset=utf-8', render: feed => JSON.stringify(renderJsonFeed(feed)) }
+};
+
+// Assemble and render a feed in one of FEED_FORMATS
+const buildFeed = async (format, { query, title, description, selfUrl, lastModified }) => {
+  const items = await getFeedItems(query);
+
+  return FEED_FORMATS[format].render({
+    title,
+    description,
+    selfUrl,
+    homeUrl: getFrontendUrl(),
+    language: getDefaultLanguage(),
+    updated: lastModified,
+    items
+  });
+};
+
+module.exports = {
+  FEED_FORMATS,
+  resolveFeedScope,
+  getFeedValidators,
+  buildFeed,
+  renderRss,
+  renderAtom,
+  renderJsonFeed
+};
@@ -0,0 +1,88 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const PreviewToken = require('../models/PreviewToken');
+const { getFrontendUrl } = require('../utils/urls');
+
+const PREVIEW_AUDIENCE = 'story-preview';
+const DEFAULT_EXPIRY_HOURS = 72;
+const MAX_EXPIRY_HOURS = 30 * 24;
+
+// Preview links can use their own secret so rotating it revokes every link at once
+const getPreviewSecret = () => process.env.PREVIEW_TOKEN_SECRET || process.env.JWT_SECRET;
+
+const previewError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const buildPreviewUrl = (token) => `${getFrontendUrl()}/preview/${token}`;
+
+// Mint a signed preview token for a story, valid for the given number of hours
+const createPreviewToken = async (story, { expiresInHours, label, createdBy } = {}) => {
+  const hours = Math.min(Math.max(parseFloat(expiresInHours) || DEFAULT_EXPIRY_HOURS, 0.25), MAX_EXPIRY_HOURS);
+  const expiresAt = new Date(Date.now() + hours * 60 * 60 * 1000);
+  const tokenId = crypto.randomBytes(16).toString('hex');
+
+  const token = jwt.sign(
+    { storyId: story._id.toString() },
+    getPreviewSecret(),
+    {
+      audience: PREVIEW_AUDIENCE,
+      jwtid: tokenId,
+      expiresIn: Math.floor(hours * 60 * 60)
+    }
+  );
+
+  const record = new PreviewToken({
+    tokenId,
+    story: story._id,
+    label,
+    createdBy,
+    expiresAt
+  });
+  await record.save();
+
+  return { token, url: buildPreviewUrl(token), record };
+};
+
+/**
+ * Check a preview token's signature, expiry and revocation state.
+ * Resolves to the stored token record; rejects with an error carrying `status`.
+ */
+const verifyPreviewToken = async (token) => {
+  let payload;
+  try {
+    payload = jwt.verify(token, getPreviewSecret(), { audience: PREVIEW_AUDIENCE });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') {
+      throw previewError('Preview link has expired', 410);
+    }
+    throw previewError('Invalid preview link', 401);
+  }
+
+  const record = await PreviewToken.findOne({ tokenId: payload.jti });
+  if (!record || record.story.toString() !== payload.storyId) {
+    throw previewError('Invalid preview link', 401);
+  }
+  if (record.revokedAt) {
+    throw previewError('Preview link has been revoked', 410);
+  }
+
+  return record;
+};
+
+const revokePreviewToken = async (tokenId) => {
+  return PreviewToken.findOneAndUpdate(
+    { tokenId, revokedAt: null },
+    { $set: { revokedAt: new Date() } },
+    { new: true }
+  );
+};
+
+module.exports = {
+  buildPreviewUrl,
+  createPreviewToken,
+  verifyPreviewToken,
+  revokePreviewToken
+};
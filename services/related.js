@@ -0,0 +1,378 @@
+const Story = require('../models/Story');
+const RelatedStories = require('../models/RelatedStories');
+const { htmlToText, decodeEntities } = require('../utils/sanitize');
+
+// Stories kept per precomputed list; requests take the top `limit` of these
+const RELATED_LIST_SIZE = 12;
+const MAX_RELATED_LIMIT = RELATED_LIST_SIZE;
+// Newest published stories compared against, on top of those sharing tags, series or author
+const MAX_CANDIDATES = 1000;
+// Body text beyond this adds little to the similarity but a lot to the cost
+const MAX_CONTENT_CHARS = 4000;
+const MIN_SCORE = 0.05;
+// Lists older than this are served but recomputed in the background
+const RELATED_TTL_MS = 24 * 60 * 60 * 1000;
+// Older stories count for less, but a strong match still shows up
+const RECENCY_HALF_LIFE_DAYS = 90;
+const RECENCY_FLOOR = 0.5;
+
+const WEIGHTS = { tags: 0.4, text: 0.4, series: 0.1, author: 0.1 };
+
+// Title and excerpt words say more about a story than body text
+const FIELD_REPEATS = { title: 3, excerpt: 2, content: 1 };
+
+const STOPWORDS = new Set((
+  'a about after all also an and any are as at be been before being but by can could did do does for from had has have ' +
+  'he her here him his how i if in into is it its just me more most my no not now of on one or other our out over she ' +
+  'so some such than that the their them then there these they this those through to too up us very was we were what ' +
+  'when where which while who why will with would you your'
+).split(' '));
+
+const CANDIDATE_FIELDS = 'title excerpt content tags series author createdAt';
+
+const tokenize = (text) => (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [])
+  .filter(word => word.length > 2 && !STOPWORDS.has(word) && !/^\d+$/.test(word));
+
+// Start of the body as plain text. Cutting the HTML first (markup takes up
+// room too) spares stripping whole bodies of every candidate.
+const bodyText = (content) => decodeEntities(htmlToText(String(content || '').slice(0, MAX_CONTENT_CHARS * 2)))
+  .slice(0, MAX_CONTENT_CHARS);
+
+// Term frequencies over title, excerpt and the start of the body
+const termFrequencies = (story) => {
+  const counts = new Map();
+  const add = (text, repeat) => tokenize(text).forEach(word => counts.set(word, (counts.get(word) || 0) + repeat));
+  add(story.title, FIELD_REPEATS.title);
+  add(decodeEntities(story.excerpt), FIELD_REPEATS.excerpt);
+  add(bodyText(story.content), FIELD_REPEATS.content);
+  return counts;
+};
+
+// L2-normalised TF-IDF vector
+const tfidfVector = (counts, idf) => {
+  const vector = new Map();
+  let norm = 0;
+  counts.forEach((count, word) => {
+    const weight = (1 + Math.log(count)) * (idf.get(word) || 0);
+    if (weight > 0) {
+      vector.set(word, weight);
+      norm += weight * weight;
+    }
+  });
+  norm = Math.sqrt(norm) || 1;
+  vector.forEach((weight, word) => vector.set(word, weight / norm));
+  return vector;
+};
+
+// Cosine similarity of two normalised vectors, with the terms that contributed most
+const cosine = (a, b) => {
+  const [small, large] = a.size <= b.size ? [a, b] : [b, a];
+  let similarity = 0;
+  const shared = [];
+  small.forEach((weight, word) => {
+    const other = large.get(word);
+    if (other) {
+      similarity += weight * other;
+      shared.push([word, weight * other]);
+    }
+  });
+  shared.sort((x, y) => y[1] - x[1]);
+  return { similarity, terms: shared.slice(0, 3).map(([word]) => word) };
+};
+
+const sameId = (a, b) => Boolean(a && b) && a.toString() === b.toString();
+
+const recencyFactor = (date, now) => {
+  const ageDays = Math.max(0, (now - new Date(date)) / (24 * 60 * 60 * 1000));
+  return RECENCY_FLOOR + (1 - RECENCY_FLOOR) * Math.pow(0.5, ageDays / RECENCY_HALF_LIFE_DAYS);
+};
+
+const describe = ({ sharedTags, terms, sameSeries, sameAuthor }) => {
+  const parts = [];
+  if (sharedTags.length > 0) parts.push(`Shares tags: ${sharedTags.join(', ')}`);
+  if (terms.length > 0) parts.push(`Similar topics: ${terms.join(', ')}`);
+  if (sameSeries) parts.push('Part of the same series');
+  if (sameAuthor) parts.push('By the same author');
+  return parts.join('; ');
+};
+
+/**
+ * Score published stories against one story: shared tags (Jaccard), TF-IDF
+ * cosine similarity of title/excerpt/content, same series and same author,
+ * scaled by how recent the candidate is.
+ * @returns {Promise<Array>} - Top matches: [{ story, score, reasons, explanation }]
+ */
+const computeRelatedStories = async (story, now = new Date()) => {
+  const shared = [
+    story.tags?.length ? { tags: { $in: story.tags } } : null,
+    story.series ? { series: story.series } : null,
+    story.author ? { author: story.author._id || story.author } : null
+  ].filter(Boolean);
+
+  const [recent, connected] = await Promise.all([
+    Story.find({ isPublished: true, _id: { $ne: story._id } })
+      .sort({ createdAt: -1 })
+      .limit(MAX_CANDIDATES)
+      .select(CANDIDATE_FIELDS)
+      .lean(),
+    shared.length > 0
+      ? Story.find({ isPublished: true, _id: { $ne: story._id }, $or: shared })
+        .sort({ createdAt: -1 })
+        .limit(MAX_CANDIDATES)
+        .select(CANDIDATE_FIELDS)
+        .lean()
+      : []
+  ]);
+
+  const candidates = new Map([...recent, ...connected].map(candidate => [candidate._id.toString(), candidate]));
+  if (candidates.size === 0) return [];
+
+  // Document frequencies over the candidates plus the story itself
+  const frequencies = new Map([[story._id.toString(), termFrequencies(story)]]);
+  candidates.forEach((candidate, id) => frequencies.set(id, termFrequencies(candidate)));
+  const documentFrequency = new Map();
+  frequencies.forEach(counts => counts.forEach((count, word) => {
+    documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1);
+  }));
+  const idf = new Map();
+  documentFrequency.forEach((df, word) => idf.set(word, Math.log((1 + frequencies.size) / (1 + df)) + 1));
+
+  const storyVector = tfidfVector(frequencies.get(story._id.toString()), idf);
+  const storyTags = new Set(story.tags || []);
+  const authorId = story.author?._id || story.author;
+
+  const scored = [];
+  candidates.forEach((candidate, id) => {
+    const candidateTags = candidate.tags || [];
+    const sharedTags = candidateTags.filter(tag => storyTags.has(tag));
+    const tagUnion = new Set([...storyTags, ...candidateTags]).size;
+    const tagScore = tagUnion > 0 ? sharedTags.length / tagUnion : 0;
+
+    const { similarity, terms } = cosine(storyVector, tfidfVector(frequencies.get(id), idf));
+    const sameSeries = sameId(story.series, candidate.series);
+    const sameAuthor = sameId(authorId, candidate.author);
+
+    const relevance = WEIGHTS.tags * tagScore +
+      WEIGHTS.text * similarity +
+      (sameSeries ? WEIGHTS.series : 0) +
+      (sameAuthor ? WEIGHTS.author : 0);
+    const score = relevance * recencyFactor(candidate.createdAt, now);
+    if (score < MIN_SCORE) return;
+
+    // Only mention topic words when the text match actually carried weight
+    const topicTerms = similarity >= 0.1 ? terms : [];
+    const reasons = [
+      sharedTags.length > 0 ? 'tags' : null,
+      topicTerms.length > 0 ? 'text' : null,
+      sameSeries ? 'series' : null,
+      sameAuthor ? 'author' : null
+    ].filter(Boolean);
+    if (reasons.length === 0) return;
+
+    scored.push({
+      story: candidate._id,
+      score: Math.round(score * 10000) / 10000,
+      reasons,
+      explanation: describe({ sharedTags, terms: topicTerms, sameSeries, sameAuthor }),
+      createdAt: candidate.createdAt
+    });
+  });
+
+  // Ties resolve to the newer story, then by id, so lists are stable
+  return scored
+    .sort((a, b) => b.score - a.score || b.createdAt - a.createdAt || (a.story.toString() < b.story.toString() ? -1 : 1))
+    .slice(0, RELATED_LIST_SIZE)
+    .map(({ createdAt, ...match }) => match);
+};
+
+/**
+ * Recompute and store the related list of a story
+ * @param {string|Object} storyId - Story ID
+ */
+const refreshRelatedStories = async (storyId) => {
+  const story = await Story.findById(storyId).select(CANDIDATE_FIELDS).lean();
+  if (!story) {
+    await RelatedStories.deleteOne({ story: storyId });
+    return null;
+  }
+
+  const related = await computeRelatedStories(story);
+  return RelatedStories.findOneAndUpdate(
+    { story: story._id },
+    { related, computedAt: new Date() },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Have the lists of these stories recomputed the next time they are requested
+const markRelatedStale = async (storyIds) => {
+  await RelatedStories.updateMany(
+    { story: { $in: storyIds } },
+    { $set: { computedAt: new Date(0) } }
+  );
+};
+
+// Drop a story from every precomputed list (unpublished, trashed or purged)
+const removeFromRelatedStories = async (storyId) => {
+  await Promise.all([
+    RelatedStories.deleteOne({ story: storyId }),
+    RelatedStories.updateMany({ 'related.story': storyId }, { $pull: { related: { story: storyId } } })
+  ]);
+};
+
+// Recomputations run one at a time in the background so requests and
+// publishing stay fast. Story ID -> whether to cascade.
+const queue = new Map();
+// Neighbours of newly published stories, recomputed only when `queue` is empty
+const neighbourQueue = new Set();
+let draining = false;
+
+const nextInQueue = () => {
+  if (queue.size > 0) {
+    const [[storyId, cascade]] = queue;
+    queue.delete(storyId);
+    return [storyId, cascade];
+  }
+  const [storyId] = neighbourQueue;
+  neighbourQueue.delete(storyId);
+  return [storyId, false];
+};
+
+const drainQueue = async () => {
+  if (draining) return;
+  draining = true;
+  while (queue.size > 0 || neighbourQueue.size > 0) {
+    const [storyId, cascade] = nextInQueue();
+    try {
+      const list = await refreshRelatedStories(storyId);
+      // A new story is likely related to the stories it picked, so their lists
+      // are recomputed too, after any pending publishes and page requests.
+      // Marking them stale first means a restart can't lose that: a stale
+      // list is recomputed when next requested.
+      if (cascade && list && list.related.length > 0) {
+        const neighbours = list.related.map(entry => entry.story.toString());
+        await markRelatedStale(neighbours);
+        neighbours
+          .filter(id => !queue.has(id))
+          .forEach(id => neighbourQueue.add(id));
+      }
+    } catch (error) {
+      console.error(`Error computing related stories for ${storyId}:`, error);
+    }
+  }
+  draining = false;
+};
+
+const scheduleRelatedRefresh = (storyIds, { cascade = false } = {}) => {
+  [].concat(storyIds).forEach(storyId => {
+    const id = storyId.toString();
+    neighbourQueue.delete(id);
+    queue.set(id, cascade || queue.get(id) || false);
+  });
+  setImmediate(drainQueue);
+};
+
+// Keep lists current as stories go live, change or come down
+const handleListingChange = (story) => {
+  if (story.isPublished && !story.deletedAt) {
+    scheduleRelatedRefresh(story._id, { cascade: true });
+  } else {
+    removeFromRelatedStories(story._id)
+      .catch(error => console.error(`Error removing ${story._id} from related stories:`, error));
+  }
+};
+
+Story.on('listingChanged', handleListingChange);
+
+const RELATED_PROJECTION = 'title excerpt slug image isFeatured createdAt views tags wordCount readingTime author category';
+
+/**
+ * Deterministic stand-ins when a story has too few matches: the latest
+ * stories from its category, then the latest stories overall.
+ */
+const getFallbackStories = async (story, { exclude, limit }) => {
+  const fallbacks = [];
+  const steps = [
+    story.category ? { filter: { category: story.category }, explanation: 'Latest story in the same category' } : null,
+    { filter: {}, explanation: 'Latest story' }
+  ].filter(Boolean);
+
+  for (const step of steps) {
+    if (fallbacks.length >= limit) break;
+
+    const stories = await Story.find({
+      ...step.filter,
+      isPublished: true,
+      _id: { $nin: [...exclude, ...fallbacks.map(entry => entry._id)] }
+    })
+      .populate('author', 'name email')
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(limit - fallbacks.length)
+      .select(RELATED_PROJECTION)
+      .lean();
+
+    fallbacks.push(...stories.map(fallback => ({
+      ...fallback,
+      relatedScore: 0,
+      reasons: ['fallback'],
+      explanation: step.explanation
+    })));
+  }
+
+  return fallbacks;
+};
+
+/**
+ * Related stories for a story from its precomputed list, topping up with
+ * fallbacks when there are too few. Missing and stale lists are recomputed in
+ * the background; meanwhile a stale list is served as it is and a missing
+ * one as fallbacks.
+ * @param {Object} story - Story document
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} - Stories with relatedScore, reasons and explanation
+ */
+const getRelatedStories = async (story, { limit = 4 } = {}) => {
+  const list = await RelatedStories.findOne({ story: story._id }).lean();
+  if (!list || Date.now() - list.computedAt > RELATED_TTL_MS) {
+    scheduleRelatedRefresh(story._id);
+  }
+
+  const entries = (list?.related || []).slice(0, Math.min(limit, MAX_RELATED_LIMIT) * 2);
+  const stories = entries.length > 0
+    ? await Story.find({ _id: { $in: entries.map(entry => entry.story) }, isPublished: true })
+      .populate('author', 'name email')
+      .select(RELATED_PROJECTION)
+      .lean()
+    : [];
+  const storyMap = new Map(stories.map(related => [related._id.toString(), related]));
+
+  // Keep the precomputed order; entries whose story has since gone are skipped
+  const related = entries
+    .filter(entry => storyMap.has(entry.story.toString()))
+    .slice(0, limit)
+    .map(entry => ({
+      ...storyMap.get(entry.story.toString()),
+      relatedScore: entry.score,
+      reasons: entry.reasons,
+      explanation: entry.explanation
+    }));
+
+  if (related.length < limit) {
+    related.push(...await getFallbackStories(story, {
+      exclude: [story._id, ...related.map(entry => entry._id)],
+      limit: limit - related.length
+    }));
+  }
+
+  return related;
+};
+
+module.exports = {
+  MAX_RELATED_LIMIT,
+  computeRelatedStories,
+  refreshRelatedStories,
+  scheduleRelatedRefresh,
+  markRelatedStale,
+  removeFromRelatedStories,
+  getRelatedStories
+};
@@ -0,0 +1,93 @@
+const StoryRevision = require('../models/StoryRevision');
+const { diffText, diffList, valuesDiffer } = require('../utils/diff');
+
+const { TRACKED_FIELDS } = StoryRevision;
+
+// Copy the tracked fields from a story (document or plain object)
+const snapshotStory = (story) => {
+  const snapshot = {};
+  TRACKED_FIELDS.forEach(field => {
+    const value = story[field];
+    snapshot[field] = Array.isArray(value) ? [...value] : value;
+  });
+  // Revisions recorded before the format was tracked only have the source to go by
+  if (!snapshot.contentFormat) {
+    snapshot.contentFormat = snapshot.markdownSource ? 'markdown' : 'html';
+  }
+  return snapshot;
+};
+
+// List the tracked fields that differ between two snapshots
+const getChangedFields = (previous, current) => {
+  if (!previous) return [...TRACKED_FIELDS];
+  return TRACKED_FIELDS.filter(field => valuesDiffer(previous[field], current[field]));
+};
+
+/**
+ * Store a revision for the current state of a story.
+ * Pass the snapshot taken before the save as `previous` so only real edits
+ * are recorded; the first revision of a story has no previous snapshot.
+ */
+const recordRevision = async (story, { previous = null, editedBy = null, restoredFrom = null } = {}) => {
+  const current = snapshotStory(story);
+  const changedFields = getChangedFields(previous, current);
+
+  if (previous && changedFields.length === 0 && restoredFrom === null) {
+    return null;
+  }
+
+  const latest = await StoryRevision.findOne({ story: story._id })
+    .sort({ revision: -1 })
+    .select('revision');
+  let nextNumber = latest ? latest.revision + 1 : 1;
+
+  // Stories created before revision tracking get their prior state as a baseline
+  if (!latest && previous) {
+    await new StoryRevision({
+      story: story._id,
+      revision: nextNumber,
+      ...previous,
+      changedFields: [...TRACKED_FIELDS]
+    }).save();
+    nextNumber++;
+  }
+
+  const revision = new StoryRevision({
+    story: story._id,
+    revision: nextNumber,
+    ...current,
+    changedFields,
+    editedBy,
+    restoredFrom: restoredFrom === null ? undefined : restoredFrom
+  });
+
+  await revision.save();
+  return revision;
+};
+
+// Build a field-by-field diff between two revisions
+const diffRevisions = (from, to) => {
+  const fields = {};
+  const before = snapshotStory(from);
+  const after = snapshotStory(to);
+
+  TRACKED_FIELDS.forEach(field => {
+    fields[field] = field === 'tags'
+      ? diffList(before.tags, after.tags)
+      : diffText(before[field], after[field]);
+  });
+
+  return {
+    from: from.revision,
+    to: to.revision,
+    changedFields: TRACKED_FIELDS.filter(field => fields[field].changed),
+    fields
+  };
+};
+
+module.exports = {
+  snapshotStory,
+  getChangedFields,
+  recordRevision,
+  diffRevisions
+};
@@ -1,6 +1,8 @@
 const cron = require('node-cron');
 const Story = require('../models/Story');
 const { SocialMediaScheduler } = require('./socialMedia');
+const { purgeExpiredStories } = require('./trash');
+const { buildStoryUrl } = require('../utils/urls');
 const { getCurrentUTCTime, isScheduledTimeReached, logWithISTTime, formatDateTimeIST } = require('../utils/timezone');
 
 class PostScheduler {
@@ -24,6 +26,15 @@ class PostScheduler {
       }
     });
 
+    // Purge expired stories from the trash once a day
+    cron.schedule('0 3 * * *', async () => {
+      try {
+        await purgeExpiredStories();
+      } catch (error) {
+        console.error('Error purging trash:', error);
+      }
+    });
+
     logWithISTTime('Post scheduler initialized');
   }
 
@@ -32,19 +43,34 @@ class PostScheduler {
       const now = getCurrentUTCTime();
       logWithISTTime('Processing scheduled posts...', `Current UTC: ${now.toISOString()}`, `Current IST: ${formatDateTimeIST(now)}`);
       
-      // Find stories that are scheduled to be published
+      // Find approved stories that are scheduled to be published
       const scheduledStories = await Story.find({
         scheduledDate: { $lte: now },
-        isPublished: false
+        status: { $in: ['approved', 'scheduled'] }
       });
 
       for (const story of scheduledStories) {
         await this.publishStory(story);
       }
 
+      // Take down stories whose publish window has ended, including ones that
+      // never went live because their window closed before the scheduled date
+      const expiredStories = await Story.find({
+        unpublishAt: { $lte: now },
+        status: { $in: ['published', 'approved', 'scheduled'] }
+      });
+
+      for (const story of expiredStories) {
+        await this.expireStory(story, now);
+      }
+
       // Find stories with scheduled social media posts
       const storiesWithScheduledPosts = await Story.find({
         isPublished: true,
+        // Never fire posts for stories whose publish window has ended
+        $and: [
+          { $or: [{ unpublishAt: null }, { unpublishAt: { $gt: now } }] }
+        ],
         $or: [
           { 
             'socialMediaPosts.facebook.scheduledTime': { $lte: now }, 
@@ -69,8 +95,11 @@ class PostScheduler {
   }
 
   async publishStory(story) {
+    // Leave expired stories to expireStory rather than publishing them for a moment
+    if (story.isExpired()) return;
+
     try {
-      story.isPublished = true;
+      story.transitionTo('published', null, 'Published by scheduler');
       await story.save();
       console.log(`Published story: ${story.title}`);
     } catch (error) {
@@ -78,14 +107,45 @@ class PostScheduler {
     }
   }
 
+  async expireStory(story, now = new Date()) {
+    try {
+      // Archiving only applies to live stories; anything else goes back to draft
+      const target = story.status === 'published' && story.expiryAction === 'archive' ? 'archived' : 'draft';
+      story.transitionTo(target, null, 'Publish window ended');
+      story.expiredAt = now;
+      this.cancelPendingSocialPosts(story, 'Story expired before the scheduled post time');
+      await story.save();
+      logWithISTTime(`Expired story: ${story.title} (${target})`);
+    } catch (error) {
+      console.error(`Error expiring story ${story.title}:`, error);
+    }
+  }
+
+  // Mark scheduled, unsent platform posts as failed so they are never fired
+  cancelPendingSocialPosts(story, reason) {
+    ['facebook', 'instagram'].forEach(platform => {
+      const post = story.socialMediaPosts?.[platform];
+      if (post?.scheduledTime && !post.posted) {
+        post.failed = true;
+        post.error = reason;
+      }
+    });
+  }
+
   async postToSocialMedia(story) {
     if (!story.video) return;
 
+    if (story.isExpired()) {
+      logWithISTTime(`Skipping social media posts for expired story: ${story.title}`);
+      this.cancelPendingSocialPosts(story, 'Story expired before the scheduled post time');
+      await story.save();
+      return;
+    }
+
     try {
       // Generate auto first comment if not present
       const generateFirstComment = (storyId) => {
-        const baseUrl = process.env.FRONTEND_URL || 'https://storivahub.vercel.app';
-        return `FULL STORY 👇👇👇 ${baseUrl}/s/${storyId}`;
+        return `FULL STORY 👇👇👇 ${buildStoryUrl(storyId)}`;
       };
 
       const videoData = {
@@ -0,0 +1,303 @@
+const Story = require('../models/Story');
+const Tag = require('../models/Tag');
+const { htmlToText, decodeEntities } = require('../utils/sanitize');
+const { escapeXml } = require('../utils/xml');
+const { decodeCursor, paginateByCursor } = require('../utils/cursor');
+
+const MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 200;
+const FACET_LIMIT = 20;
+// Only offer "did you mean" when the original query found next to nothing
+const SUGGEST_BELOW = 3;
+
+const VOCABULARY_SIZE = 5000;
+const VOCABULARY_TTL_MS = 60 * 60 * 1000;
+
+let vocabulary = null;
+
+const searchError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const tokenize = (text) => String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+// Trim a raw query to something safe to hand to $text
+const normalizeSearchQuery = (q) => String(q || '').replace(/\s+/g, ' ').trim().slice(0, MAX_QUERY_LENGTH);
+
+// Terms worth highlighting: everything except negated (-term) words
+const getHighlightTerms = (q) => tokenize(normalizeSearchQuery(q).replace(/(^|\s)-\S+/g, ' '));
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Regex matching query terms in text. $text matches stemmed words, so long
+ * terms are shortened to a stem-like prefix ("stories" also marks "story").
+ */
+const buildHighlightPattern = (terms) => {
+  if (terms.length === 0) return null;
+
+  const stems = [...new Set(terms.map(term => (term.length > 4 ? term.slice(0, Math.max(4, term.length - 3)) : term)))]
+    .sort((a, b) => b.length - a.length)
+    .map(escapeRegExp);
+
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${stems.join('|')})[\\p{L}\\p{N}]*`, 'giu');
+};
+
+// Escape text as HTML, wrapping matches of the pattern in <mark>
+const highlightText = (text, pattern) => {
+  if (!text) return '';
+  if (!pattern) return escapeXml(text);
+
+  let html = '';
+  let lastIndex = 0;
+  for (const match of text.matchAll(pattern)) {
+    html += escapeXml(text.slice(lastIndex, match.index)) + `<mark>${escapeXml(match[0])}</mark>`;
+    lastIndex = match.index + match[0].length;
+  }
+  return html + escapeXml(text.slice(lastIndex));
+};
+
+// Window of text around the first match, highlighted
+const buildSnippet = (text, pattern, length = SNIPPET_LENGTH) => {
+  if (!text) return '';
+
+  const matchIndex = pattern ? text.search(pattern) : -1;
+  let start = matchIndex > 0 ? Math.max(0, matchIndex - Math.floor(length / 3)) : 0;
+  // Start on a word boundary
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    if (space !== -1 && space < matchIndex) start = space + 1;
+  }
+  const end = Math.min(text.length, start + length);
+
+  return `${start > 0 ? '…' : ''}${highlightText(text.slice(start, end), pattern)}${end < text.length ? '…' : ''}`;
+};
+
+// Words from published titles and tags, with how often they occur
+const getVocabulary = async () => {
+  if (vocabulary && vocabulary.expiresAt > Date.now()) {
+    return vocabulary.words;
+  }
+
+  const [stories, tags] = await Promise.all([
+    Story.find({ isPublished: true })
+      .sort({ createdAt: -1 })
+      .limit(VOCABULARY_SIZE)
+      .select('title tags')
+      .lean(),
+    Tag.find().select('name').lean()
+  ]);
+
+  const words = new Map();
+  const add = (text) => tokenize(text).forEach(word => {
+    if (word.length >= 3) words.set(word, (words.get(word) || 0) + 1);
+  });
+  stories.forEach(story => {
+    add(story.title);
+    (story.tags || []).forEach(tag => add(tag.replace(/-/g, ' ')));
+  });
+  tags.forEach(tag => add(tag.name));
+
+  vocabulary = { words, expiresAt: Date.now() + VOCABULARY_TTL_MS };
+  return words;
+};
+
+// Levenshtein distance, giving up once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+/**
+ * Spelling correction for a query: each unknown word is swapped for the
+ * closest, most frequent known word. Resolves to null when nothing changes.
+ */
+const suggestCorrection = async (q) => {
+  const words = await getVocabulary();
+  let changed = false;
+
+  const correctWord = (original) => {
+    const term = original.toLowerCase();
+    if (term.length < 3 || words.has(term) || /^\d+$/.test(term)) return original;
+
+    const maxDistance = term.length <= 4 ? 1 : 2;
+    let best = null;
+    words.forEach((count, word) => {
+      const distance = editDistance(term, word, maxDistance);
+      if (distance > maxDistance) return;
+      if (!best || distance < best.distance || (distance === best.distance && count > best.count)) {
+        best = { word, distance, count };
+      }
+    });
+
+    if (!best) return original;
+    changed = true;
+    return best.word;
+  };
+
+  // Replace words in place so quotes and negations survive
+  const corrected = normalizeSearchQuery(q).replace(/[\p{L}\p{N}]+/gu, correctWord);
+  return changed ? corrected : null;
+};
+
+const buildSearchMatch = (text, { filter = {}, tags = [], from, to }) => {
+  const match = { ...filter, isPublished: true, $text: { $search: text } };
+
+  if (tags.length > 0) {
+    match.tags = { $all: tags.map(tag => Tag.normalize(tag)) };
+  }
+  if (from || to) {
+    match.createdAt = {
+      ...(from ? { $gte: new Date(from) } : {}),
+      ...(to ? { $lte: new Date(to) } : {})
+    };
+  }
+
+  return match;
+};
+
+// Cursor sort for relevance-ranked results
+const RELEVANCE_SORT = { key: 'relevance', field: 'score', order: -1 };
+
+const TAG_FACET_STAGES = [
+  { $unwind: '$tags' },
+  { $group: { _id: '$tags', count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_LIMIT }
+];
+
+const RESULT_PROJECTION = { $project: { socialMediaPosts: 0, markdownSource: 0, __v: 0 } };
+
+/**
+ * Relevance-ranked search over published stories using the text index.
+ * Returns the page of stories with highlighted title and snippet, the total,
+ * tag facet counts across all matches and a "did you mean" suggestion.
+ *
+ * In cursor mode (`useCursor`, optionally continuing from `cursor`) the page
+ * comes with `pagination` cursors instead of skip/limit, and the total is
+ * only counted when `includeTotal` is set.
+ * @param {Object} options - { q, page, limit, tags, from, to, filter, useCursor, cursor, includeTotal }
+ */
+const searchStories = async ({
+  q,
+  page = 1,
+  limit = 12,
+  tags = [],
+  from,
+  to,
+  filter = {},
+  useCursor = false,
+  cursor,
+  includeTotal = false
+}) => {
+  const text = normalizeSearchQuery(q);
+  if (!text) {
+    throw searchError('Search query is required', 400);
+  }
+
+  const match = buildSearchMatch(text, { filter, tags, from, to });
+  const countTotal = !useCursor || includeTotal;
+
+  // $text has to be the first stage; scores come from its $meta
+  const runSearch = async (storyStages) => {
+    const [result] = await Story.aggregate([
+      { $match: match },
+      { $addFields: { score: { $meta: 'textScore' } } },
+      {
+        $facet: {
+          stories: [...storyStages, RESULT_PROJECTION],
+          tags: TAG_FACET_STAGES,
+          ...(countTotal ? { total: [{ $count: 'count' }] } : {})
+        }
+      }
+    ]);
+    return result;
+  };
+
+  let result;
+  let rows;
+  let pagination = null;
+
+  if (useCursor) {
+    const decoded = cursor ? decodeCursor(cursor, RELEVANCE_SORT) : null;
+    ({ items: rows, pagination } = await paginateByCursor({
+      sort: RELEVANCE_SORT,
+      cursor: decoded,
+      limit,
+      fetch: async (cursorFilter, sortSpec, count) => {
+        result = await runSearch([
+          ...(cursorFilter ? [{ $match: cursorFilter }] : []),
+          { $sort: sortSpec },
+          { $limit: count }
+        ]);
+        return result.stories;
+      }
+    }));
+  } else {
+    result = await runSearch([
+      { $sort: { score: -1, createdAt: -1, _id: 1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit }
+    ]);
+    rows = result.stories;
+  }
+
+  const stories = await Story.populate(rows, { path: 'author', select: 'name email' });
+  const total = countTotal ? result.total[0]?.count || 0 : undefined;
+  const pattern = buildHighlightPattern(getHighlightTerms(text));
+
+  const highlighted = stories.map(({ content, ...story }) => ({
+    ...story,
+    highlights: {
+      title: highlightText(story.title, pattern),
+      snippet: buildSnippet(decodeEntities(htmlToText(content || '') || story.excerpt || ''), pattern)
+    }
+  }));
+
+  // Without a count, a lone first page still tells us how many matched
+  const knownTotal = total ?? (!cursor && !pagination.hasNext ? stories.length : null);
+
+  let didYouMean = null;
+  if (knownTotal !== null && knownTotal < SUGGEST_BELOW) {
+    const suggestion = await suggestCorrection(text);
+    // Only suggest corrections that would actually find more
+    if (suggestion && await Story.countDocuments(buildSearchMatch(suggestion, { filter, tags, from, to })) > knownTotal) {
+      didYouMean = suggestion;
+    }
+  }
+
+  return {
+    stories: highlighted,
+    total,
+    ...(pagination ? { pagination } : {}),
+    facets: {
+      tags: result.tags.map(facet => ({ tag: facet._id, count: facet.count }))
+    },
+    didYouMean
+  };
+};
+
+module.exports = {
+  MAX_QUERY_LENGTH,
+  normalizeSearchQuery,
+  suggestCorrection,
+  searchStories
+};
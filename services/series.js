@@ -0,0 +1,114 @@
+const Series = require('../models/Series');
+const Story = require('../models/Story');
+
+const seriesError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * Replace the ordered story list of a series. Stories must exist and may
+ * belong to only one series at a time.
+ */
+const setSeriesStories = async (series, storyIds) => {
+  const ids = [...new Set(storyIds.map(id => id.toString()))];
+
+  // Trashed stories keep their place so restoring them brings them back in order
+  const stories = await Story.find({ _id: { $in: ids } })
+    .setOptions({ withDeleted: true })
+    .select('series');
+  if (stories.length !== ids.length) {
+    throw seriesError('One or more stories were not found', 404);
+  }
+
+  const taken = stories.find(story => story.series && !story.series.equals(series._id));
+  if (taken) {
+    throw seriesError(`Story ${taken._id} already belongs to another series`, 409);
+  }
+
+  await Story.updateMany(
+    { series: series._id, _id: { $nin: ids } },
+    { $unset: { series: '' } }
+  );
+  await Story.updateMany(
+    { _id: { $in: ids } },
+    { $set: { series: series._id } }
+  );
+
+  series.stories = ids;
+  await series.save();
+  return series;
+};
+
+// Insert a story at a 1-based position (appends when no position is given)
+const addStoryToSeries = async (series, storyId, position) => {
+  const ids = series.stories
+    .map(id => id.toString())
+    .filter(id => id !== storyId.toString());
+
+  const index = position ? Math.min(Math.max(position - 1, 0), ids.length) : ids.length;
+  ids.splice(index, 0, storyId.toString());
+
+  return setSeriesStories(series, ids);
+};
+
+const removeStoryFromSeries = async (series, storyId) => {
+  const ids = series.stories
+    .map(id => id.toString())
+    .filter(id => id !== storyId.toString());
+
+  await Story.updateOne(
+    { _id: storyId, series: series._id },
+    { $unset: { series: '' } }
+  );
+
+  series.stories = ids;
+  await series.save();
+  return series;
+};
+
+// Published parts of a series in reading order
+const getPublishedParts = async (series) => {
+  const published = await Story.find({ _id: { $in: series.stories }, isPublished: true })
+    .select('_id');
+  const publishedIds = new Set(published.map(story => story._id.toString()));
+
+  return series.stories
+    .map(id => id.toString())
+    .filter(id => publishedIds.has(id));
+};
+
+/**
+ * Series position for a story ("Part 2 of 5"), counted over published parts.
+ * Returns null when the story is not part of a published sequence.
+ */
+const getSeriesPosition = async (story) => {
+  if (!story.series) return null;
+
+  const series = await Series.findById(story.series._id || story.series)
+    .select('title slug coverImage stories');
+  if (!series) return null;
+
+  const parts = await getPublishedParts(series);
+  const index = parts.indexOf(story._id.toString());
+  if (index === -1) return null;
+
+  return {
+    _id: series._id,
+    title: series.title,
+    slug: series.slug,
+    part: index + 1,
+    total: parts.length,
+    previousStoryId: index > 0 ? parts[index - 1] : null,
+    nextStoryId: index < parts.length - 1 ? parts[index + 1] : null
+  };
+};
+
+module.exports = {
+  setSeriesStories,
+  addStoryToSeries,
+  removeStoryFromSeries,
+  getPublishedParts,
+  getSeriesPosition
+};
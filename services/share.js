@@ -0,0 +1,249 @@
+const Story = require('../models/Story');
+const { localizeStory, findTranslationBySlug, getDefaultLanguage } = require('./translations');
+const { generateExcerpt, decodeEntities } = require('../utils/sanitize');
+const { getFrontendUrl, buildStoryPermalink } = require('../utils/urls');
+const { escapeXml } = require('../utils/xml');
+
+const getSiteName = () => process.env.SITE_NAME || 'StoryHub';
+
+// Link preview crawlers get the meta page; everyone else is redirected to the frontend
+const PREVIEW_BOT_PATTERN = /facebookexternalhit|facebookcatalog|meta-externalagent|twitterbot|linkedinbot|slackbot|discordbot|telegrambot|whatsapp|pinterest|redditbot|skypeuripreview|vkshare|embedly|iframely|applebot|googlebot|bingbot|yandex|quora link preview|mastodon|bluesky|tumblr/i;
+
+const isPreviewBot = (userAgent) => PREVIEW_BOT_PATTERN.test(userAgent || '');
+
+const SHARE_FIELDS = 'title slug previousSlugs excerpt content metaDescription image video tags language author createdAt updatedAt';
+
+/**
+ * Find the published story behind a share link. Accepts an ID, the current
+ * slug, a previous slug or the slug of a translation (which selects that
+ * language).
+ */
+const resolveShareStory = async (identifier) => {
+  const findPublished = (filter) => Story.findOne({ ...filter, isPublished: true })
+    .select(SHARE_FIELDS)
+    .populate('author', 'name')
+    .lean();
+
+  if (/^[0-9a-fA-F]{24}$/.test(identifier)) {
+    const story = await findPublished({ _id: identifier });
+    if (story) return { story, language: null };
+  }
+
+  const slug = String(identifier).toLowerCase();
+  const story = await findPublished({ $or: [{ slug }, { previousSlugs: slug }] });
+  if (story) return { story, language: null };
+
+  const translation = await findTranslationBySlug(slug);
+  if (translation) {
+    const translated = await findPublished({ _id: translation.story });
+    if (translated) return { story: translated, language: translation.language };
+  }
+
+  return { story: null, language: null };
+};
+
+const VIDEO_TYPES = { webm: 'video/webm', mov: 'video/quicktime', m3u8: 'application/x-mpegURL' };
+
+const guessVideoType = (url) => {
+  const extension = (url.split('?')[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+  return VIDEO_TYPES[extension?.toLowerCase()] || 'video/mp4';
+};
+
+/**
+ * Everything a share page or oEmbed response says about a story, localized
+ * when a language is given
+ */
+const buildShareMeta = async (story, lang) => {
+  const localized = await localizeStory(story, lang);
+
+  return {
+    id: story._id.toString(),
+    title: localized.title,
+    description: localized.metaDescription || decodeEntities(localized.excerpt || generateExcerpt(localized.content || '', 160)),
+    url: buildStoryPermalink(localized),
+    language: localized.language || getDefaultLanguage(),
+    siteName: getSiteName(),
+    authorName: story.author?.name || null,
+    tags: story.tags || [],
+    publishedAt: story.createdAt,
+    updatedAt: story.updatedAt,
+    image: story.image?.url
+      ? { url: story.image.url, width: story.image.width, height: story.image.height }
+      : null,
+    video: story.video?.url
+      ? { url: story.video.url, type: guessVideoType(story.video.url), width: story.video.width, height: story.video.height }
+      : null
+  };
+};
+
+const metaTag = (attribute, name, content) => (content === undefined || content === null || content === ''
+  ? null
+  : `  <meta ${attribute}="${escapeXml(name)}" content="${escapeXml(content)}">`);
+
+/**
+ * Minimal HTML page carrying Open Graph and Twitter Card tags for crawlers.
+ * Browsers that do render it are sent on to the canonical URL.
+ * @param {Object} meta - Result of buildShareMeta
+ * @param {Object} options - { oembedUrl } discovery link for oEmbed consumers
+ * @returns {string} HTML
+ */
+const renderSharePage = (meta, { oembedUrl } = {}) => {
+  const tags = [
+    metaTag('name', 'description', meta.description),
+    metaTag('property', 'og:type', 'article'),
+    metaTag('property', 'og:site_name', meta.siteName),
+    metaTag('property', 'og:title', meta.title),
+    metaTag('property', 'og:description', meta.description),
+    metaTag('property', 'og:url', meta.url),
+    metaTag('property', 'og:locale', meta.language),
+    ...(meta.image ? [
+      metaTag('property', 'og:image', meta.image.url),
+      metaTag('property', 'og:image:width', meta.image.width),
+      metaTag('property', 'og:image:height', meta.image.height),
+      metaTag('property', 'og:image:alt', meta.title)
+    ] : []),
+    ...(meta.video ? [
+      metaTag('property', 'og:video', meta.video.url),
+      metaTag('property', 'og:video:secure_url', meta.video.url.startsWith('https:') ? meta.video.url : null),
+      metaTag('property', 'og:video:type', meta.video.type),
+      metaTag('property', 'og:video:width', meta.video.width),
+      metaTag('property', 'og:video:height', meta.video.height)
+    ] : []),
+    metaTag('property', 'article:published_time', meta.publishedAt && new Date(meta.publishedAt).toISOString()),
+    metaTag('property', 'article:modified_time', meta.updatedAt && new Date(meta.updatedAt).toISOString()),
+    metaTag('property', 'article:author', meta.authorName),
+    ...meta.tags.map(tag => metaTag('property', 'article:tag', tag)),
+    metaTag('name', 'twitter:card', meta.image ? 'summary_large_image' : 'summary'),
+    metaTag('name', 'twitter:title', meta.title),
+    metaTag('name', 'twitter:description', meta.description),
+    metaTag('name', 'twitter:image', meta.image?.url),
+    metaTag('name', 'twitter:image:alt', meta.image ? meta.title : null)
+  ];
+
+  return [
+    '<!DOCTYPE html>',
+    `<html lang="${escapeXml(meta.language)}">`,
+    '<head>',
+    '  <meta charset="utf-8">',
+    `  <title>${escapeXml(meta.title)} | ${escapeXml(meta.siteName)}</title>`,
+    `  <link rel="canonical" href="${escapeXml(meta.url)}">`,
+    oembedUrl
+      ? `  <link rel="alternate" type="application/json+oembed" href="${escapeXml(oembedUrl)}" title="${escapeXml(meta.title)}">`
+      : null,
+    ...tags,
+    `  <meta http-equiv="refresh" content="0; url=${escapeXml(meta.url)}">`,
+    '</head>',
+    '<body>',
+    `  <p><a href="${escapeXml(meta.url)}">${escapeXml(meta.title)}</a></p>`,
+    '</body>',
+    '</html>',
+    ''
+  ].filter(Boolean).join('\n');
+};
+
+/**
+ * Pull the story identifier out of a URL an oEmbed consumer asks about. Both
+ * short links (/s/:id) and permalinks (STORY_PATH/:slug) are recognised, on
+ * the frontend or on this API's own host.
+ * @returns {string|null}
+ */
+const parseEmbedUrl = (url, { allowedHosts = [] } = {}) => {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return null;
+  }
+
+  const hosts = [new URL(getFrontendUrl()).host, ...allowedHosts];
+  if (!['http:', 'https:'].includes(parsed.protocol) || !hosts.includes(parsed.host)) {
+    return null;
+  }
+
+  const storyPath = (process.env.STORY_PATH || '/story').replace(/\/+$/, '');
+  const path = parsed.pathname.replace(/\/+$/, '');
+  for (const prefix of ['/s', storyPath]) {
+    if (path.startsWith(`${prefix}/`)) {
+      const identifier = path.slice(prefix.length + 1);
+      return identifier && !identifier.includes('/') ? identifier.toLowerCase() : null;
+    }
+  }
+
+  return null;
+};
+
+const DEFAULT_EMBED_WIDTH = 550;
+const MIN_EMBED_WIDTH = 200;
+// Approximate height of the card's text block below the image
+const EMBED_TEXT_HEIGHT = 180;
+
+/**
+ * oEmbed 1.0 "rich" response with a self-contained story card
+ * @param {Object} meta - Result of buildShareMeta
+ * @param {Object} options - { maxwidth, maxheight } requested by the consumer
+ * @returns {Object}
+ */
+const buildOEmbed = (meta, { maxwidth, maxheight } = {}) => {
+  const width = Math.max(Math.min(maxwidth || DEFAULT_EMBED_WIDTH, DEFAULT_EMBED_WIDTH), MIN_EMBED_WIDTH);
+  let imageHeight = meta.image ? Math.round(width * 9 / 16) : 0;
+  // Drop the image rather than overflow a consumer's height limit
+  if (maxheight && imageHeight + EMBED_TEXT_HEIGHT > maxheight) {
+    imageHeight = 0;
+  }
+  const height = imageHeight + EMBED_TEXT_HEIGHT;
+
+  const html = [
+    `<blockquote class="storyhub-embed" data-story-id="${escapeXml(meta.id)}" style="max-width:${width}px;margin:0;padding:0;border:1px solid #e1e4e8;border-radius:8px;overflow:hidden;font-family:sans-serif;">`,
+    imageHeight
+      ? `<a href="${escapeXml(meta.url)}"><img src="${escapeXml(meta.image.url)}" alt="${escapeXml(meta.title)}" width="${width}" height="${imageHeight}" style="display:block;width:100%;height:auto;object-fit:cover;"></a>`
+      : null,
+    '<div style="padding:12px 16px;">',
+    `<p style="margin:0 0 8px;font-size:18px;font-weight:bold;"><a href="${escapeXml(meta.url)}" style="color:inherit;text-decoration:none;">${escapeXml(meta.title)}</a></p>`,
+    meta.description ? `<p style="margin:0 0 8px;font-size:14px;color:#57606a;">${escapeXml(meta.description)}</p>` : null,
+    `<p style="margin:0;font-size:12px;color:#57606a;">${escapeXml([meta.authorName, meta.siteName].filter(Boolean).join(' · '))}</p>`,
+    '</div>',
+    '</blockquote>'
+  ].filter(Boolean).join('');
+
+  return {
+    version: '1.0',
+    type: 'rich',
+    title: meta.title,
+    ...(meta.authorName ? { author_name: meta.authorName } : {}),
+    provider_name: meta.siteName,
+    provider_url: getFrontendUrl(),
+    cache_age: 3600,
+    // oEmbed requires thumbnail dimensions whenever a thumbnail is given
+    ...(meta.image?.width && meta.image?.height ? {
+      thumbnail_url: meta.image.url,
+      thumbnail_width: meta.image.width,
+      thumbnail_height: meta.image.height
+    } : {}),
+    html,
+    width,
+    height
+  };
+};
+
+/**
+ * Render an oEmbed response as XML
+ * @param {Object} oembed - Result of buildOEmbed
+ * @returns {string} XML
+ */
+const renderOEmbedXml = (oembed) => [
+  '<?xml version="1.0" encoding="utf-8" standalone="yes"?>',
+  '<oembed>',
+  ...Object.entries(oembed).map(([key, value]) => `  <${key}>${escapeXml(value)}</${key}>`),
+  '</oembed>',
+  ''
+].join('\n');
+
+module.exports = {
+  isPreviewBot,
+  resolveShareStory,
+  buildShareMeta,
+  renderSharePage,
+  parseEmbedUrl,
+  buildOEmbed,
+  renderOEmbedXml
+};
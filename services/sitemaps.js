@@ -0,0 +1,180 @@
+const Story = require('../models/Story');
+const { getDefaultLanguage } = require('./translations');
+const { buildStoryPermalink } = require('../utils/urls');
+const { escapeXml } = require('../utils/xml');
+
+const SITEMAP_PAGE_SIZE = 5000;
+const NEWS_WINDOW_HOURS = 48;
+// Google News sitemaps may list at most 1000 stories
+const NEWS_MAX_STORIES = 1000;
+
+const SITEMAP_TTL_MS = 60 * 60 * 1000;
+// The news window moves constantly, so its cache expires sooner
+const NEWS_SITEMAP_TTL_MS = 10 * 60 * 1000;
+
+// Rendered sitemaps keyed by origin and name, cleared whenever stories change
+const cache = new Map();
+// Origins come from the Host header, so keep the cache from growing without bound
+const MAX_CACHE_ENTRIES = 200;
+
+const cached = async (key, ttl, build) => {
+  const hit = cache.get(key);
+  if (hit && hit.expiresAt > Date.now()) {
+    return hit.body;
+  }
+
+  const body = await build();
+  if (cache.size >= MAX_CACHE_ENTRIES) {
+    cache.clear();
+  }
+  cache.set(key, { body, expiresAt: Date.now() + ttl });
+  return body;
+};
+
+// Drop every cached sitemap
+const invalidateSitemaps = () => {
+  cache.clear();
+};
+
+// Whatever changes the set of listed stories or their titles and slugs
+// (publishing, editing, scheduler runs, bulk actions, trash) emits this.
+// Other edits only move lastmod, which the cache TTL catches up with.
+Story.on('listingChanged', invalidateSitemaps);
+
+const getSiteName = () => process.env.SITE_NAME || 'StoryHub';
+
+const PUBLISHED = { isPublished: true };
+
+/**
+ * Sitemap index listing one child sitemap per page of published stories.
+ * Pages are ordered by _id so new stories only ever change the last page.
+ */
+const buildSitemapIndex = (origin) => cached(`${origin}:index`, SITEMAP_TTL_MS, async () => {
+  const total = await Story.countDocuments(PUBLISHED);
+  const pageCount = Math.max(Math.ceil(total / SITEMAP_PAGE_SIZE), 1);
+
+  const entries = [];
+  for (let page = 1; page <= pageCount; page++) {
+    const [newest] = await Story.aggregate([
+      { $match: PUBLISHED },
+      { $sort: { _id: 1 } },
+      { $skip: (page - 1) * SITEMAP_PAGE_SIZE },
+      { $limit: SITEMAP_PAGE_SIZE },
+      { $group: { _id: null, updatedAt: { $max: '$updatedAt' } } }
+    ]);
+
+    entries.push([
+      '  <sitemap>',
+      `    <loc>${escapeXml(`${origin}/sitemaps/stories-${page}.xml`)}</loc>`,
+      newest ? `    <lastmod>${newest.updatedAt.toISOString()}</lastmod>` : null,
+      '  </sitemap>'
+    ].filter(Boolean).join('\n'));
+  }
+
+  entries.push([
+    '  <sitemap>',
+    `    <loc>${escapeXml(`${origin}/news-sitemap.xml`)}</loc>`,
+    '  </sitemap>'
+  ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+    ...entries,
+    '</sitemapindex>',
+    ''
+  ].join('\n');
+});
+
+/**
+ * One page of the story sitemap, with image entries for featured images.
+ * Resolves to null for pages past the end.
+ */
+const buildStoriesSitemap = (origin, page) => cached(`${origin}:stories-${page}`, SITEMAP_TTL_MS, async () => {
+  const stories = await Story.find(PUBLISHED)
+    .sort({ _id: 1 })
+    .skip((page - 1) * SITEMAP_PAGE_SIZE)
+    .limit(SITEMAP_PAGE_SIZE)
+    .select('slug title image updatedAt')
+    .lean();
+
+  if (stories.length === 0 && page > 1) {
+    return null;
+  }
+
+  const urls = stories.map(story => [
+    '  <url>',
+    `    <loc>${escapeXml(buildStoryPermalink(story))}</loc>`,
+    `    <lastmod>${story.updatedAt.toISOString()}</lastmod>`,
+    story.image?.url
+      ? `    <image:image>\n      <image:loc>${escapeXml(story.image.url)}</image:loc>\n    </image:image>`
+      : null,
+    '  </url>'
+  ].filter(Boolean).join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+});
+
+// When a story went live: its latest move to published, else its creation time
+const getPublishedAt = (story) => {
+  const published = (story.statusHistory || [])
+    .filter(entry => entry.to === 'published' && entry.changedAt)
+    .map(entry => entry.changedAt);
+  return published.length > 0 ? new Date(Math.max(...published)) : story.createdAt;
+};
+
+// Google News sitemap of stories published in the last 48 hours
+const buildNewsSitemap = (origin) => cached(`${origin}:news`, NEWS_SITEMAP_TTL_MS, async () => {
+  const cutoff = new Date(Date.now() - NEWS_WINDOW_HOURS * 60 * 60 * 1000);
+
+  const stories = await Story.find({
+    ...PUBLISHED,
+    $or: [
+      { createdAt: { $gte: cutoff } },
+      { statusHistory: { $elemMatch: { to: 'published', changedAt: { $gte: cutoff } } } }
+    ]
+  })
+    .sort({ createdAt: -1 })
+    .limit(NEWS_MAX_STORIES)
+    .select('slug title language statusHistory createdAt')
+    .lean();
+
+  const urls = stories
+    .map(story => ({ story, publishedAt: getPublishedAt(story) }))
+    .filter(({ publishedAt }) => publishedAt >= cutoff)
+    .map(({ story, publishedAt }) => [
+      '  <url>',
+      `    <loc>${escapeXml(buildStoryPermalink(story))}</loc>`,
+      '    <news:news>',
+      '      <news:publication>',
+      `        <news:name>${escapeXml(getSiteName())}</news:name>`,
+      `        <news:language>${escapeXml(story.language || getDefaultLanguage())}</news:language>`,
+      '      </news:publication>',
+      `      <news:publication_date>${publishedAt.toISOString()}</news:publication_date>`,
+      `      <news:title>${escapeXml(story.title)}</news:title>`,
+      '    </news:news>',
+      '  </url>'
+    ].join('\n'));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:news="http://www.google.com/schemas/sitemap-news/0.9">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+});
+
+module.exports = {
+  SITEMAP_PAGE_SIZE,
+  invalidateSitemaps,
+  buildSitemapIndex,
+  buildStoriesSitemap,
+  buildNewsSitemap
+};
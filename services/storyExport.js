@@ -0,0 +1,110 @@
+const { once } = require('events');
+const Story = require('../models/Story');
+
+const EXPORT_FORMATS = ['json', 'ndjson'];
+const EXPORT_VERSION = 1;
+
+/**
+ * Portable representation of a story. References are exported by natural key
+ * (author email, category slug) so an export can be imported into another database.
+ * @param {Object} story - Lean story with author, category and series populated
+ * @returns {Object} Export record
+ */
+const serializeStory = (story) => ({
+  slug: story.slug,
+  title: story.title,
+  excerpt: story.excerpt,
+  content: story.content,
+  contentFormat: story.contentFormat || 'html',
+  markdownSource: story.markdownSource,
+  language: story.language,
+  status: story.status,
+  isPublished: story.isPublished,
+  isFeatured: story.isFeatured,
+  scheduledDate: story.scheduledDate,
+  unpublishAt: story.unpublishAt,
+  expiryAction: story.expiryAction,
+  tags: story.tags || [],
+  category: story.category ? { slug: story.category.slug, name: story.category.name } : null,
+  series: story.series ? { slug: story.series.slug, title: story.series.title } : null,
+  metaDescription: story.metaDescription,
+  image: story.image,
+  video: story.video,
+  socialMediaPosts: story.socialMediaPosts,
+  views: story.views,
+  author: story.author ? { name: story.author.name, email: story.author.email } : null,
+  createdAt: story.createdAt,
+  updatedAt: story.updatedAt
+});
+
+// Write a chunk, waiting for the client to catch up when the buffer is full.
+// Resolves false once the client has gone away, which never drains.
+const writeChunk = async (res, chunk) => {
+  if (res.destroyed) return false;
+  if (res.write(chunk)) return true;
+
+  const controller = new AbortController();
+  try {
+    const event = await Promise.race([
+      once(res, 'drain', { signal: controller.signal }).then(() => 'drain'),
+      once(res, 'close', { signal: controller.signal }).then(() => 'close')
+    ]);
+    return event === 'drain' && !res.destroyed;
+  } finally {
+    controller.abort();
+  }
+};
+
+/**
+ * Stream the stories matching `query` to the response one document at a time,
+ * either as a single JSON document or as newline-delimited JSON. Stops and
+ * resolves null if the client disconnects part way.
+ */
+const streamStories = async (res, { query = {}, format = 'json' } = {}) => {
+  const cursor = Story.find(query)
+    .sort({ createdAt: 1 })
+    .populate('author', 'name email')
+    .populate('category', 'name slug')
+    .populate('series', 'title slug')
+    .lean()
+    .cursor();
+
+  const timestamp = new Date().toISOString();
+  const filename = `stories-${timestamp.slice(0, 10)}.${format}`;
+
+  res.setHeader('Content-Type', format === 'ndjson' ? 'application/x-ndjson' : 'application/json');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+  try {
+    if (format === 'json' &&
+        !await writeChunk(res, `{"version":${EXPORT_VERSION},"exportedAt":"${timestamp}","stories":[`)) {
+      return null;
+    }
+
+    let count = 0;
+    for await (const story of cursor) {
+      const record = JSON.stringify(serializeStory(story));
+      const chunk = format === 'ndjson' ? `${record}\n` : `${count > 0 ? ',' : ''}\n${record}`;
+      if (!await writeChunk(res, chunk)) {
+        return null;
+      }
+      count++;
+    }
+
+    if (format === 'json' && !await writeChunk(res, '\n]}\n')) {
+      return null;
+    }
+    res.end();
+
+    return count;
+  } finally {
+    // Frees the server-side cursor early when the download was cut short
+    await cursor.close();
+  }
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  serializeStory,
+  streamStories
+};
@@ -0,0 +1,258 @@
+const Story = require('../models/Story');
+const User = require('../models/User');
+const Category = require('../models/Category');
+const Tag = require('../models/Tag');
+const { snapshotStory, recordRevision } = require('./revisions');
+
+// Fields copied straight from an import record onto the story
+const IMPORTED_FIELDS = [
+  'title',
+  'excerpt',
+  'content',
+  'contentFormat',
+  'markdownSource',
+  'language',
+  'metaDescription',
+  'isFeatured',
+  'scheduledDate',
+  'unpublishAt',
+  'expiryAction',
+  'image',
+  'video'
+];
+
+// Social posts are imported as history only. A post still waiting to go out
+// would be sent by the scheduler straight away once its time had passed.
+const SOCIAL_PLATFORMS = ['facebook', 'instagram'];
+
+const importError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Parse an uploaded export file into story records.
+ * Accepts a JSON array, a JSON export document ({ stories: [...] }) or NDJSON.
+ * @param {string} text - File contents
+ * @param {string} format - 'json' or 'ndjson'
+ * @returns {Array<Object>} Records
+ */
+const parseImportFile = (text, format) => {
+  if (format === 'ndjson') {
+    return text
+      .split(/\r?\n/)
+      .map((line, index) => ({ line: line.trim(), index }))
+      .filter(({ line }) => line)
+      .map(({ line, index }) => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          throw importError(`Invalid JSON on line ${index + 1}`);
+        }
+      });
+  }
+
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw importError('Invalid JSON file');
+  }
+
+  const records = Array.isArray(data) ? data : data?.stories;
+  if (!Array.isArray(records)) {
+    throw importError('Expected an array of stories or an export document with a stories array');
+  }
+  return records;
+};
+
+const categoryKey = (category) => {
+  if (!category) return null;
+  if (typeof category === 'string') return category.trim().toLowerCase() || null;
+  return (category.slug || '').toLowerCase() || null;
+};
+
+// Load the users and categories referenced by the records in two queries
+const loadReferences = async (records) => {
+  const emails = [...new Set(records
+    .map(record => record?.author?.email)
+    .filter(email => typeof email === 'string')
+    .map(email => email.toLowerCase()))];
+  const categorySlugs = [...new Set(records.map(record => categoryKey(record?.category)).filter(Boolean))];
+
+  const [users, categories] = await Promise.all([
+    emails.length > 0 ? User.find({ email: { $in: emails } }).select('email') : [],
+    categorySlugs.length > 0 ? Category.find({ slug: { $in: categorySlugs } }).select('slug') : []
+  ]);
+
+  return {
+    users: new Map(users.map(user => [user.email, user._id])),
+    categories: new Map(categories.map(category => [category.slug, category._id]))
+  };
+};
+
+// Find or create the category for a record; dry runs only report what would be created
+const resolveCategory = async (category, references, dryRun) => {
+  const slug = categoryKey(category);
+  if (!slug) return { id: undefined };
+  if (references.categories.has(slug)) return { id: references.categories.get(slug) };
+
+  const name = (typeof category === 'object' && category.name) || slug;
+  if (dryRun) return { id: undefined, created: name };
+
+  const existing = await Category.findOne({ name });
+  const created = existing || await new Category({ name }).save();
+  references.categories.set(slug, created._id);
+  return { id: created._id, created: existing ? undefined : name };
+};
+
+// Copy an import record onto a story document
+const applyRecord = (story, record, { authorId, categoryId, userId }) => {
+  IMPORTED_FIELDS.forEach(field => {
+    if (record[field] !== undefined) {
+      story[field] = record[field];
+    }
+  });
+
+  if (Array.isArray(record.tags)) {
+    story.tags = record.tags.filter(tag => typeof tag === 'string');
+  }
+  SOCIAL_PLATFORMS.forEach(platform => {
+    const post = record.socialMediaPosts?.[platform];
+    if (post && post.posted === true) {
+      story.set(`socialMediaPosts.${platform}`, post);
+    }
+  });
+  if (authorId) {
+    story.author = authorId;
+  }
+  if (categoryId) {
+    story.category = categoryId;
+  }
+  if (Number.isInteger(record.views) && record.views >= 0) {
+    story.views = record.views;
+  }
+  if (story.isNew && record.createdAt && !isNaN(new Date(record.createdAt).getTime())) {
+    story.createdAt = new Date(record.createdAt);
+  }
+
+  const status = Story.WORKFLOW_STATES.includes(record.status)
+    ? record.status
+    : typeof record.isPublished === 'boolean'
+      ? (record.isPublished ? 'published' : 'draft')
+      : null;
+
+  if (status && status !== story.status) {
+    if (!story.isNew) {
+      story.statusHistory.push({ from: story.getWorkflowStatus(), to: status, changedBy: userId, note: 'Imported' });
+    }
+    story.status = status;
+    story.isPublished = status === 'published';
+  }
+};
+
+const formatValidationError = (error) => {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(fieldError => fieldError.message).join('; ');
+  }
+  return error.message;
+};
+
+/**
+ * Upsert story records by slug. Every record is validated and reported on
+ * individually; with `dryRun` nothing is written and the report shows what
+ * an import would do.
+ */
+const importStories = async (records, { dryRun = false, userId } = {}) => {
+  const references = await loadReferences(records);
+  const results = [];
+  const categoriesCreated = new Set();
+
+  for (let index = 0; index < records.length; index++) {
+    const record = records[index];
+    const result = { index, slug: record?.slug, title: record?.title, warnings: [] };
+
+    try {
+      if (!record || typeof record !== 'object' || Array.isArray(record)) {
+        throw importError('Record must be an object');
+      }
+      if (record.status !== undefined && !Story.WORKFLOW_STATES.includes(record.status)) {
+        throw importError(`Invalid status "${record.status}"`);
+      }
+
+      const slug = typeof record.slug === 'string' ? record.slug.trim().toLowerCase() : '';
+      const existing = slug
+        ? await Story.findOne({ slug }).setOptions({ withDeleted: true })
+        : null;
+
+      if (existing?.deletedAt) {
+        throw importError('A story with this slug is in the trash');
+      }
+
+      const email = typeof record.author?.email === 'string' ? record.author.email.toLowerCase() : null;
+      let authorId = email ? references.users.get(email) : undefined;
+      if (!authorId && !existing) {
+        authorId = userId;
+        result.warnings.push(email
+          ? `Author ${email} not found; assigned to the importing user`
+          : 'No author given; assigned to the importing user');
+      }
+
+      const category = await resolveCategory(record.category, references, dryRun);
+      if (category.created) {
+        categoriesCreated.add(category.created);
+      }
+
+      const story = existing || new Story();
+      const previous = existing ? snapshotStory(existing) : null;
+      if (!existing && slug) {
+        story.slug = slug;
+      }
+      story.$locals.keepSlug = true;
+
+      applyRecord(story, record, { authorId, categoryId: category.id, userId });
+
+      if (story.image?.url && !story.image.publicId) {
+        result.warnings.push('Image is hosted outside Cloudinary');
+      }
+
+      await story.validate();
+
+      if (!dryRun) {
+        await story.save();
+        await recordRevision(story, { previous, editedBy: userId });
+        result.slug = story.slug;
+        result.id = story._id;
+      } else {
+        result.tags = (story.tags || []).map(tag => Tag.normalize(tag)).filter(Boolean);
+      }
+
+      result.action = existing ? 'update' : 'create';
+      result.success = true;
+    } catch (error) {
+      if (!error.status && error.name !== 'ValidationError') {
+        console.error(`Error importing story record ${index}:`, error);
+      }
+      result.success = false;
+      result.error = formatValidationError(error);
+    }
+
+    results.push(result);
+  }
+
+  return {
+    dryRun,
+    total: records.length,
+    created: results.filter(result => result.success && result.action === 'create').length,
+    updated: results.filter(result => result.success && result.action === 'update').length,
+    failed: results.filter(result => !result.success).length,
+    categoriesCreated: [...categoriesCreated],
+    results
+  };
+};
+
+module.exports = {
+  parseImportFile,
+  importStories
+};
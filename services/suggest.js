@@ -0,0 +1,175 @@
+const Story = require('../models/Story');
+const Tag = require('../models/Tag');
+const SearchMiss = require('../models/SearchMiss');
+const { logWithISTTime } = require('../utils/timezone');
+
+const MAX_INDEXED_STORIES = 20000;
+const MIN_PREFIX_LENGTH = 2;
+const DEFAULT_SUGGESTIONS = 8;
+const MAX_SUGGESTIONS = 20;
+// Upper bound on index keys examined per lookup, to keep typeahead fast
+const MAX_SCANNED_KEYS = 5000;
+// View counts drift between publishes, so the index is rebuilt in the background after this
+const INDEX_TTL_MS = 15 * 60 * 1000;
+// Publishing many stories at once (bulk actions, imports) triggers a single rebuild
+const REFRESH_DELAY_MS = 2000;
+
+let index = null;
+let building = null;
+let refreshTimer = null;
+
+// Lowercase, strip accents and collapse punctuation so "Café-Life" matches "cafe l"
+const normalizeSuggestText = (text) => String(text || '')
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, ' ')
+  .trim();
+
+/**
+ * Build the suggestion index from published stories and their tags. Every
+ * word start of a title or tag is a key, so "wolv" also finds "Running with
+ * the Wolves". Keys are sorted for binary-searched prefix lookups.
+ */
+const buildSuggestIndex = async () => {
+  const stories = await Story.find({ isPublished: true })
+    .sort({ views: -1 })
+    .limit(MAX_INDEXED_STORIES)
+    .select('title slug tags views')
+    .lean();
+
+  const entries = [];
+  const keys = [];
+  const addEntry = (entry, text) => {
+    entries.push(entry);
+    const words = normalizeSuggestText(text).split(' ').filter(Boolean);
+    words.forEach((word, i) => keys.push([words.slice(i).join(' '), entries.length - 1]));
+  };
+
+  const tagStats = new Map();
+  stories.forEach(story => {
+    addEntry({ type: 'story', id: story._id.toString(), text: story.title, slug: story.slug, views: story.views || 0 }, story.title);
+    (story.tags || []).forEach(tag => {
+      const stats = tagStats.get(tag) || { views: 0, storyCount: 0 };
+      stats.views += story.views || 0;
+      stats.storyCount += 1;
+      tagStats.set(tag, stats);
+    });
+  });
+
+  const tagNames = new Map((await Tag.find({ slug: { $in: [...tagStats.keys()] } }).select('name slug').lean())
+    .map(tag => [tag.slug, tag.name]));
+  tagStats.forEach((stats, slug) => {
+    const name = tagNames.get(slug) || slug;
+    addEntry({ type: 'tag', text: name, slug, views: stats.views, storyCount: stats.storyCount }, `${name} ${slug}`);
+  });
+
+  keys.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+  return { keys, entries, builtAt: Date.now() };
+};
+
+// Rebuild now, sharing one build between concurrent callers
+const refreshSuggestIndex = () => {
+  if (!building) {
+    building = buildSuggestIndex()
+      .then(built => {
+        index = built;
+        logWithISTTime(`Suggestion index rebuilt (${built.entries.length} entries)`);
+        return built;
+      })
+      .finally(() => {
+        building = null;
+      });
+  }
+  return building;
+};
+
+// Debounced rebuild after stories are published, unpublished, retitled or retagged
+const scheduleSuggestRefresh = () => {
+  if (!index || refreshTimer) return;
+
+  refreshTimer = setTimeout(() => {
+    refreshTimer = null;
+    refreshSuggestIndex().catch(error => console.error('Error rebuilding suggestion index:', error));
+  }, REFRESH_DELAY_MS);
+  refreshTimer.unref();
+};
+
+Story.on('listingChanged', scheduleSuggestRefresh);
+
+// Serve the current index; only the very first lookup waits for a build
+const getSuggestIndex = async () => {
+  if (!index) {
+    return refreshSuggestIndex();
+  }
+  if (Date.now() - index.builtAt > INDEX_TTL_MS) {
+    refreshSuggestIndex().catch(error => console.error('Error rebuilding suggestion index:', error));
+  }
+  return index;
+};
+
+// First position whose key is >= prefix
+const lowerBound = (keys, prefix) => {
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (keys[mid][0] < prefix) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+/**
+ * Story titles and tags matching a typed prefix, most viewed first
+ * @param {string} q - What the reader has typed so far
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} - [{ type, text, slug, id?, storyCount? }]
+ */
+const getSuggestions = async (q, { limit = DEFAULT_SUGGESTIONS } = {}) => {
+  const prefix = normalizeSuggestText(q);
+  if (prefix.length < MIN_PREFIX_LENGTH) {
+    return [];
+  }
+
+  const { keys, entries } = await getSuggestIndex();
+  const matched = new Set();
+  const start = lowerBound(keys, prefix);
+  const end = Math.min(keys.length, start + MAX_SCANNED_KEYS);
+  for (let i = start; i < end && keys[i][0].startsWith(prefix); i++) {
+    matched.add(keys[i][1]);
+  }
+
+  return [...matched]
+    .map(entryIndex => entries[entryIndex])
+    .sort((a, b) => b.views - a.views || a.text.localeCompare(b.text))
+    .slice(0, Math.min(limit, MAX_SUGGESTIONS))
+    .map(({ views, ...suggestion }) => suggestion);
+};
+
+/**
+ * Record a query that found nothing. Fire-and-forget: failures are logged
+ * and never slow down or break the search itself.
+ * @param {string} q - Raw query
+ * @param {string} source - One of SearchMiss.SEARCH_SOURCES
+ */
+const recordSearchMiss = (q, source) => {
+  const query = String(q || '').replace(/\s+/g, ' ').trim().toLowerCase().slice(0, 200);
+  if (query.length < MIN_PREFIX_LENGTH) return;
+
+  const now = new Date();
+  SearchMiss.updateOne(
+    { query, source },
+    { $inc: { count: 1 }, $set: { lastSearchedAt: now }, $setOnInsert: { firstSearchedAt: now } },
+    { upsert: true }
+  ).catch(error => console.error('Error recording search miss:', error));
+};
+
+module.exports = {
+  MAX_SUGGESTIONS,
+  normalizeSuggestText,
+  refreshSuggestIndex,
+  scheduleSuggestRefresh,
+  getSuggestions,
+  recordSearchMiss
+};
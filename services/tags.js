@@ -0,0 +1,141 @@
+const Tag = require('../models/Tag');
+const Story = require('../models/Story');
+const { scheduleSuggestRefresh } = require('./suggest');
+const { markRelatedStale } = require('./related');
+
+/**
+ * Bulk tag updates bypass the save hooks, so no 'listingChanged' event fires.
+ * Refresh what depends on story tags directly.
+ */
+const notifyStoriesRetagged = async (storyIds) => {
+  if (storyIds.length === 0) return;
+  scheduleSuggestRefresh();
+  await markRelatedStale(storyIds);
+};
+
+// Replace one tag slug with another on every story that carries it
+const rewriteStoryTags = async (fromSlug, toSlug) => {
+  const storyIds = await Story.distinct('_id', { tags: fromSlug });
+  const added = await Story.updateMany(
+    { tags: fromSlug },
+    { $addToSet: { tags: toSlug } }
+  );
+  await Story.updateMany(
+    { tags: fromSlug },
+    { $pull: { tags: fromSlug } }
+  );
+  await notifyStoriesRetagged(storyIds);
+  return added.matchedCount;
+};
+
+// Remove a tag from every story that carries it
+const removeTagFromStories = async (slug) => {
+  const storyIds = await Story.distinct('_id', { tags: slug });
+  const result = await Story.updateMany(
+    { tags: slug },
+    { $pull: { tags: slug } }
+  );
+  await notifyStoriesRetagged(storyIds);
+  return result.modifiedCount;
+};
+
+/**
+ * Merge source tags into a target tag. Stories are retagged and the source
+ * slugs become aliases of the target so old links and new input still resolve.
+ */
+const mergeTags = async (sourceSlugs, targetSlug) => {
+  const target = await Tag.findOne({ slug: targetSlug });
+  if (!target) {
+    const error = new Error(`Tag not found: ${targetSlug}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const sources = await Tag.find({
+    slug: { $in: sourceSlugs.filter(slug => slug !== targetSlug) }
+  });
+
+  let storiesUpdated = 0;
+  for (const source of sources) {
+    storiesUpdated += await rewriteStoryTags(source.slug, target.slug);
+  }
+
+  const aliases = new Set(target.aliases);
+  sources.forEach(source => {
+    aliases.add(source.slug);
+    source.aliases.forEach(alias => aliases.add(alias));
+  });
+  target.aliases = [...aliases].filter(alias => alias !== target.slug);
+  await target.save();
+
+  await Tag.deleteMany({ _id: { $in: sources.map(source => source._id) } });
+
+  return {
+    tag: target,
+    merged: sources.map(source => source.slug),
+    storiesUpdated
+  };
+};
+
+// Rename a tag; a name that normalizes onto an existing tag merges into it
+const renameTag = async (slug, newName) => {
+  const tag = await Tag.findOne({ slug });
+  if (!tag) {
+    const error = new Error(`Tag not found: ${slug}`);
+    error.status = 404;
+    throw error;
+  }
+
+  const newSlug = Tag.normalize(newName);
+  if (!newSlug) {
+    const error = new Error('Tag name must contain letters or numbers');
+    error.status = 400;
+    throw error;
+  }
+
+  if (newSlug === tag.slug) {
+    tag.name = newName.trim();
+    await tag.save();
+    return { tag, storiesUpdated: 0 };
+  }
+
+  const existing = await Tag.findOne({ slug: newSlug });
+  if (existing) {
+    const result = await mergeTags([tag.slug], existing.slug);
+    return { tag: result.tag, storiesUpdated: result.storiesUpdated };
+  }
+
+  const oldSlug = tag.slug;
+  tag.name = newName.trim();
+  tag.slug = newSlug;
+  tag.aliases = [...new Set([...tag.aliases, oldSlug])].filter(alias => alias !== newSlug);
+  await tag.save();
+
+  const storiesUpdated = await rewriteStoryTags(oldSlug, newSlug);
+  return { tag, storiesUpdated };
+};
+
+// Published story counts keyed by tag slug
+const getTagCounts = async (slugs) => {
+  const match = { isPublished: true };
+  if (slugs) {
+    match.tags = { $in: slugs };
+  }
+
+  const counts = await Story.aggregate([
+    { $match: match },
+    { $unwind: '$tags' },
+    ...(slugs ? [{ $match: { tags: { $in: slugs } } }] : []),
+    { $group: { _id: '$tags', count: { $sum: 1 }, views: { $sum: '$views' } } }
+  ]);
+
+  return new Map(counts.map(entry => [entry._id, entry]));
+};
+
+module.exports = {
+  rewriteStoryTags,
+  removeTagFromStories,
+  mergeTags,
+  renameTag,
+  getTagCounts
+};
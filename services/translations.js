@@ -0,0 +1,102 @@
+const StoryTranslation = require('../models/StoryTranslation');
+
+// Fields a translation overrides on the base story
+const TRANSLATED_FIELDS = [
+  'title',
+  'excerpt',
+  'content',
+  'slug',
+  'metaDescription',
+  'wordCount',
+  'readingTime',
+  'tableOfContents'
+];
+
+const getDefaultLanguage = () => process.env.DEFAULT_LANGUAGE || 'en';
+
+const normalizeLanguage = (lang) => {
+  return typeof lang === 'string' && lang.trim() ? lang.trim().toLowerCase() : null;
+};
+
+// Copy translated fields onto a plain story object, skipping fields the caller projected out
+const applyTranslation = (storyObj, translation) => {
+  const localized = { ...storyObj };
+  TRANSLATED_FIELDS.forEach(field => {
+    if (translation[field] !== undefined && (field !== 'content' || storyObj.content !== undefined)) {
+      localized[field] = translation[field];
+    }
+  });
+  return localized;
+};
+
+/**
+ * Localize plain story objects into the requested language. Stories without a
+ * translation fall back to their base language and are flagged accordingly.
+ */
+const localizeStories = async (storyObjs, lang) => {
+  const requested = normalizeLanguage(lang);
+  if (!requested) return storyObjs;
+
+  const ids = storyObjs
+    .filter(story => (story.language || getDefaultLanguage()) !== requested)
+    .map(story => story._id);
+
+  const translations = ids.length > 0
+    ? await StoryTranslation.find({ story: { $in: ids }, language: requested }).lean()
+    : [];
+  const translationMap = new Map(translations.map(translation => [translation.story.toString(), translation]));
+
+  return storyObjs.map(story => {
+    const baseLanguage = story.language || getDefaultLanguage();
+    const translation = translationMap.get(story._id.toString());
+
+    if (baseLanguage === requested) {
+      return { ...story, language: baseLanguage, requestedLanguage: requested, languageFallback: false };
+    }
+    if (translation) {
+      return { ...applyTranslation(story, translation), language: requested, requestedLanguage: requested, languageFallback: false };
+    }
+    return { ...story, language: baseLanguage, requestedLanguage: requested, languageFallback: true };
+  });
+};
+
+const localizeStory = async (storyObj, lang) => {
+  const [localized] = await localizeStories([storyObj], lang);
+  return localized;
+};
+
+/**
+ * Language alternates of a story for hreflang links, including x-default
+ * pointing at the base version
+ */
+const getAlternates = async (story) => {
+  const translations = await StoryTranslation.find({ story: story._id })
+    .select('language slug')
+    .sort({ language: 1 })
+    .lean();
+
+  const baseLanguage = story.language || getDefaultLanguage();
+
+  return [
+    { language: baseLanguage, slug: story.slug, isDefault: true },
+    ...translations
+      .filter(translation => translation.language !== baseLanguage)
+      .map(translation => ({ language: translation.language, slug: translation.slug, isDefault: false })),
+    { language: 'x-default', slug: story.slug, isDefault: true }
+  ];
+};
+
+// Find the translation that owns a slug, if any
+const findTranslationBySlug = (slug) => {
+  return StoryTranslation.findOne({ slug }).select('story language slug');
+};
+
+module.exports = {
+  TRANSLATED_FIELDS,
+  getDefaultLanguage,
+  normalizeLanguage,
+  localizeStories,
+  localizeStory,
+  getAlternates,
+  findTranslationBySlug
+};
@@ -0,0 +1,93 @@
+const Story = require('../models/Story');
+const StoryRevision = require('../models/StoryRevision');
+const Series = require('../models/Series');
+const StoryTranslation = require('../models/StoryTranslation');
+const PreviewToken = require('../models/PreviewToken');
+const CurationSlot = require('../models/CurationSlot');
+const { deleteFromCloudinary, getPublicIdFromUrl } = require('./cloudinary');
+const { removeFromRelatedStories } = require('./related');
+const { logWithISTTime } = require('../utils/timezone');
+
+const DEFAULT_RETENTION_DAYS = 30;
+
+// Days a story stays in the trash before it is purged automatically
+const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS);
+  return isNaN(days) || days < 0 ? DEFAULT_RETENTION_DAYS : days;
+};
+
+// Filter matching stories currently in the trash
+const trashedFilter = (extra = {}) => ({ ...extra, deletedAt: { $ne: null } });
+
+const moveToTrash = async (story, deletedBy) => {
+  story.deletedAt = new Date();
+  story.deletedBy = deletedBy;
+  await story.save();
+  return story;
+};
+
+const restoreFromTrash = async (story) => {
+  story.deletedAt = null;
+  story.deletedBy = undefined;
+  await story.save();
+  return story;
+};
+
+/**
+ * Permanently delete a trashed story together with its Cloudinary assets,
+ * revisions, translations, preview links, series membership, curation
+ * entries and related-story lists. Asset deletion runs first so a Cloudinary
+ * failure leaves the story in the trash to be retried.
+ */
+const purgeStory = async (story) => {
+  // The URL is the reliable source: stories saved before publicIds were
+  // derived from it carry a made-up one
+  const imageId = getPublicIdFromUrl(story.image?.url) || story.image?.publicId;
+  if (imageId) {
+    await deleteFromCloudinary(imageId, 'image');
+  }
+  const videoId = getPublicIdFromUrl(story.video?.url) || story.video?.publicId;
+  if (videoId) {
+    await deleteFromCloudinary(videoId, 'video');
+  }
+
+  await Promise.all([
+    StoryRevision.deleteMany({ story: story._id }),
+    StoryTranslation.deleteMany({ story: story._id }),
+    PreviewToken.deleteMany({ story: story._id }),
+    Series.updateMany({ stories: story._id }, { $pull: { stories: story._id } }),
+    CurationSlot.updateMany({ 'entries.story': story._id }, { $pull: { entries: { story: story._id } } }),
+    removeFromRelatedStories(story._id)
+  ]);
+  await Story.deleteOne({ _id: story._id });
+};
+
+// Purge every trashed story older than the retention period
+const purgeExpiredStories = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const stories = await Story.find({ deletedAt: { $ne: null, $lte: cutoff } });
+
+  let purged = 0;
+  for (const story of stories) {
+    try {
+      await purgeStory(story);
+      purged++;
+    } catch (error) {
+      console.error(`Error purging story ${story.title}:`, error);
+    }
+  }
+
+  if (stories.length > 0) {
+    logWithISTTime(`Purged ${purged} of ${stories.length} expired stories from trash`);
+  }
+  return purged;
+};
+
+module.exports = {
+  getRetentionDays,
+  trashedFilter,
+  moveToTrash,
+  restoreFromTrash,
+  purgeStory,
+  purgeExpiredStories
+};
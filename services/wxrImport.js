@@ -0,0 +1,214 @@
+const { XMLParser } = require('fast-xml-parser');
+const { importStories } = require('./storyImport');
+
+// WordPress post statuses mapped onto workflow states; anything else is skipped
+const WP_STATUS_MAP = {
+  publish: 'published',
+  future: 'scheduled',
+  pending: 'in_review',
+  draft: 'draft',
+  private: 'draft'
+};
+
+// Elements that may repeat and must always parse as arrays
+const REPEATED_ELEMENTS = ['item', 'category', 'wp:postmeta', 'wp:author', 'wp:category', 'wp:tag'];
+
+const wxrError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+const text = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return String(value['#text'] ?? '').trim();
+  return String(value).trim();
+};
+
+// WordPress stores term names and titles HTML-escaped
+const decodeEntities = (value) => value
+  .replace(/&#(\d+);/g, (match, code) => String.fromCodePoint(parseInt(code, 10)))
+  .replace(/&#x([0-9a-f]+);/gi, (match, code) => String.fromCodePoint(parseInt(code, 16)))
+  .replace(/&quot;/g, '"')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&amp;/g, '&');
+
+// WordPress stores dates as "YYYY-MM-DD HH:MM:SS"; the _gmt variants are UTC
+const parseWpDate = (value) => {
+  const raw = text(value);
+  if (!raw || raw.startsWith('0000')) return null;
+  const date = new Date(`${raw.replace(' ', 'T')}Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+const BLOCK_TAG = /^<\/?(p|div|h[1-6]|ul|ol|li|blockquote|pre|table|figure|hr|img|iframe|section)\b/i;
+
+/**
+ * Wrap classic-editor content in paragraphs the way WordPress does when
+ * rendering (wpautop); content that already uses block markup is left alone.
+ * @param {string} content - Raw post content
+ * @returns {string} HTML
+ */
+const autoParagraph = (content) => {
+  const html = content.replace(/\r\n/g, '\n').trim();
+  if (!html) return '';
+
+  return html
+    .split(/\n\s*\n/)
+    .map(chunk => chunk.trim())
+    .filter(Boolean)
+    .map(chunk => (BLOCK_TAG.test(chunk) ? chunk : `<p>${chunk.replace(/\n/g, '<br />\n')}</p>`))
+    .join('\n');
+};
+
+const getPostMeta = (item, key) => {
+  const meta = (item['wp:postmeta'] || []).find(entry => text(entry['wp:meta_key']) === key);
+  return meta ? text(meta['wp:meta_value']) : '';
+};
+
+// Map one WordPress post item onto a story import record
+const mapPost = (item, { authors, attachments, categoryNames }) => {
+  const warnings = [];
+  const wpStatus = text(item['wp:status']);
+
+  const terms = (item.category || []).map(term => ({
+    domain: term['@_domain'],
+    slug: term['@_nicename'],
+    name: decodeEntities(text(term))
+  }));
+  const categories = terms.filter(term => term.domain === 'category' && term.slug !== 'uncategorized');
+  const tags = terms.filter(term => term.domain === 'post_tag').map(term => term.name || term.slug);
+
+  // Stories have a single category, so extra WordPress categories become tags
+  const [category, ...extraCategories] = categories;
+  if (extraCategories.length > 0) {
+    warnings.push(`Additional categories imported as tags: ${extraCategories.map(term => term.name).join(', ')}`);
+    tags.push(...extraCategories.map(term => term.name || term.slug));
+  }
+
+  const record = {
+    slug: text(item['wp:post_name']) || undefined,
+    title: decodeEntities(text(item.title)),
+    content: autoParagraph(text(item['content:encoded'])),
+    excerpt: text(item['excerpt:encoded']) || undefined,
+    status: WP_STATUS_MAP[wpStatus],
+    tags,
+    category: category
+      ? { slug: category.slug, name: categoryNames.get(category.slug) || category.name }
+      : null,
+    author: authors.get(text(item['dc:creator'])) || null,
+    createdAt: parseWpDate(item['wp:post_date_gmt']) || parseWpDate(item['wp:post_date']) || undefined
+  };
+
+  if (wpStatus === 'future') {
+    record.scheduledDate = record.createdAt;
+  }
+  if (wpStatus === 'private') {
+    warnings.push('Private post imported as a draft');
+  }
+
+  const thumbnailId = getPostMeta(item, '_thumbnail_id');
+  if (thumbnailId) {
+    const attachment = attachments.get(thumbnailId);
+    if (attachment) {
+      record.image = { url: attachment };
+    } else {
+      warnings.push(`Featured image attachment ${thumbnailId} not found in export`);
+    }
+  }
+
+  const metaDescription = getPostMeta(item, '_yoast_wpseo_metadesc');
+  if (metaDescription) {
+    record.metaDescription = metaDescription.slice(0, 160);
+  }
+
+  return { record, warnings };
+};
+
+/**
+ * Parse a WordPress eXtended RSS (WXR) export into story import records.
+ * Pages, attachments and trashed posts are reported as skipped.
+ * @param {string} xml - WXR file contents
+ * @returns {{records: Array<Object>, warnings: Array<Array<string>>, skipped: Array<Object>}}
+ */
+const parseWxr = (xml) => {
+  let document;
+  try {
+    const parser = new XMLParser({
+      ignoreAttributes: false,
+      attributeNamePrefix: '@_',
+      parseTagValue: false,
+      isArray: (name) => REPEATED_ELEMENTS.includes(name)
+    });
+    document = parser.parse(xml);
+  } catch (error) {
+    throw wxrError('Invalid WXR file');
+  }
+
+  const channel = document?.rss?.channel;
+  if (!channel) {
+    throw wxrError('Invalid WXR file: missing rss channel');
+  }
+
+  const authors = new Map((channel['wp:author'] || []).map(author => [
+    text(author['wp:author_login']),
+    { name: text(author['wp:author_display_name']), email: text(author['wp:author_email']) }
+  ]));
+  const categoryNames = new Map((channel['wp:category'] || []).map(category => [
+    text(category['wp:category_nicename']),
+    decodeEntities(text(category['wp:cat_name']))
+  ]));
+
+  const items = channel.item || [];
+  const attachments = new Map(items
+    .filter(item => text(item['wp:post_type']) === 'attachment')
+    .map(item => [text(item['wp:post_id']), text(item['wp:attachment_url']) || text(item.guid)]));
+
+  const records = [];
+  const warnings = [];
+  const skipped = [];
+
+  items.forEach(item => {
+    const postType = text(item['wp:post_type']);
+    if (postType === 'attachment') return;
+
+    const wpStatus = text(item['wp:status']);
+    if (postType !== 'post' || !WP_STATUS_MAP[wpStatus]) {
+      skipped.push({
+        postId: text(item['wp:post_id']),
+        title: text(item.title),
+        reason: postType !== 'post' ? `Unsupported post type "${postType}"` : `Unsupported status "${wpStatus}"`
+      });
+      return;
+    }
+
+    const mapped = mapPost(item, { authors, attachments, categoryNames });
+    records.push(mapped.record);
+    warnings.push(mapped.warnings);
+  });
+
+  return { records, warnings, skipped };
+};
+
+/**
+ * Import a WXR export. Mapping warnings and skipped items are merged into the
+ * import report so a dry run shows everything that would happen.
+ */
+const importWordPress = async (xml, { dryRun = true, userId } = {}) => {
+  const { records, warnings, skipped } = parseWxr(xml);
+  const report = await importStories(records, { dryRun, userId });
+
+  report.results.forEach(result => {
+    result.warnings = [...(warnings[result.index] || []), ...result.warnings];
+  });
+
+  return { ...report, skipped };
+};
+
+module.exports = {
+  WP_STATUS_MAP,
+  autoParagraph,
+  parseWxr,
+  importWordPress
+};
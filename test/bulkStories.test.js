@@ -0,0 +1,21 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Story = require('../models/Story');
+const { runBulkAction } = require('../services/bulkStories');
+
+test('an empty query is rejected before any story is touched', async () => {
+  mock.method(Story, 'countDocuments', async () => 0);
+  mock.method(Story, 'find', () => {
+    throw new Error('Stories should not be queried');
+  });
+
+  try {
+    await assert.rejects(
+      runBulkAction({ query: {}, action: 'publish' }),
+      error => error.status === 400
+    );
+    assert.equal(Story.countDocuments.mock.callCount(), 0);
+  } finally {
+    mock.restoreAll();
+  }
+});
@@ -0,0 +1,19 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildOutline, computeContentStats } = require('../utils/contentStats');
+
+test('headings with entities get readable ids and outline text', () => {
+  const { html, outline } = buildOutline('<h2>Tom &amp; Jerry</h2><p>hi</p>');
+
+  assert.equal(outline.length, 1);
+  assert.equal(outline[0].id, 'tom-jerry');
+  assert.equal(outline[0].text, 'Tom & Jerry');
+  assert.match(html, /<h2 id="tom-jerry">Tom &amp; Jerry<\/h2>/);
+});
+
+test('entities do not count as words', () => {
+  const stats = computeContentStats('<h2>Tom &amp; Jerry</h2><p>hi</p>');
+
+  assert.equal(stats.wordCount, 3);
+  assert.equal(stats.readingTime, 1);
+});
@@ -0,0 +1,68 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const RelatedStories = require('../models/RelatedStories');
+const { getRelatedStories } = require('../services/related');
+
+const id = () => new mongoose.Types.ObjectId();
+const author = id();
+const stories = [
+  { _id: id(), title: 'Running with the wolves', excerpt: 'A pack of wolves in winter', content: '<p>Wolves hunt in packs across the snow.</p>', tags: ['wolves', 'winter'] },
+  { _id: id(), title: 'Wolves of the north', excerpt: 'Following a wolf pack', content: '<p>The pack crossed the snow at dawn.</p>', tags: ['wolves'] },
+  { _id: id(), title: 'Baking bread', excerpt: 'Sourdough at home', content: '<p>Flour, water and salt.</p>', tags: ['baking'] }
+].map((story, i) => ({ ...story, author, isPublished: true, createdAt: new Date(Date.UTC(2026, 0, i + 1)) }));
+const [wolves, moreWolves, bread] = stories;
+
+// Just enough of the query API for the related service, over the stories above
+const query = (result) => {
+  const chain = {};
+  ['populate', 'select', 'sort', 'limit'].forEach(method => {
+    chain[method] = () => chain;
+  });
+  chain.lean = async () => result;
+  return chain;
+};
+const matchesId = (story, filter = {}) => {
+  const key = story._id.toString();
+  if (filter.$ne) return key !== filter.$ne.toString();
+  if (filter.$in) return filter.$in.some(value => value.toString() === key);
+  if (filter.$nin) return !filter.$nin.some(value => value.toString() === key);
+  return true;
+};
+
+test('a stale list is served, then replaced by the recomputed one', async () => {
+  const lists = new Map([[wolves._id.toString(), {
+    story: wolves._id,
+    related: [{ story: bread._id, score: 0.1, reasons: ['author'], explanation: 'By the same author' }],
+    computedAt: new Date(0)
+  }]]);
+
+  mock.method(Story, 'find', (filter) => query(stories.filter(story => matchesId(story, filter._id))));
+  mock.method(Story, 'findById', (storyId) => query(stories.find(story => story._id.equals(storyId))));
+  mock.method(RelatedStories, 'findOne', (filter) => query(lists.get(filter.story.toString()) || null));
+  mock.method(RelatedStories, 'updateMany', async () => ({}));
+  const refreshed = new Promise(resolve => {
+    mock.method(RelatedStories, 'findOneAndUpdate', async (filter, update) => {
+      const list = { story: filter.story, ...update };
+      lists.set(filter.story.toString(), list);
+      resolve();
+      return list;
+    });
+  });
+
+  try {
+    const stale = await getRelatedStories(wolves, { limit: 1 });
+    assert.deepEqual(stale.map(story => story._id), [bread._id]);
+
+    await refreshed;
+    assert.ok(lists.get(wolves._id.toString()).computedAt > new Date(0));
+
+    const fresh = await getRelatedStories(wolves, { limit: 1 });
+    assert.deepEqual(fresh.map(story => story._id), [moreWolves._id]);
+    assert.ok(fresh[0].reasons.includes('tags'));
+    assert.ok(fresh[0].reasons.includes('text'));
+  } finally {
+    mock.restoreAll();
+  }
+});
@@ -0,0 +1,33 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeExcerpt, generateExcerpt, decodeEntities } = require('../utils/sanitize');
+const Story = require('../models/Story');
+
+test('excerpt normalisation escapes once and is idempotent', () => {
+  const once = normalizeExcerpt('Tom & Jerry <b>live</b>');
+
+  assert.equal(once, 'Tom &amp; Jerry live');
+  assert.equal(normalizeExcerpt(once), once);
+  assert.equal(normalizeExcerpt(normalizeExcerpt(once)), once);
+});
+
+test('markup spelled out as entities stays inert text', () => {
+  const excerpt = normalizeExcerpt('<p>&amp;lt;img src=x onerror=alert(1)&amp;gt;</p>');
+
+  assert.equal(excerpt, '&amp;lt;img src=x onerror=alert(1)&amp;gt;');
+  assert.equal(decodeEntities(excerpt), '&lt;img src=x onerror=alert(1)&gt;');
+});
+
+test('generated excerpts are never cut inside an entity', () => {
+  const excerpt = generateExcerpt(`<p>${'a'.repeat(198)} &amp; more</p>`, 200);
+
+  assert.equal(excerpt, `${'a'.repeat(198)} &amp;...`);
+});
+
+test('the excerpt limit counts the text, not its escaping', () => {
+  const story = new Story({ title: 'T', content: '<p>Body</p>', excerpt: '&amp;'.repeat(500) });
+  assert.equal(story.validateSync(['excerpt']), undefined);
+
+  story.excerpt = '&amp;'.repeat(501);
+  assert.ok(story.validateSync(['excerpt']).errors.excerpt);
+});
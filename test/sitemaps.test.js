@@ -0,0 +1,21 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const Story = require('../models/Story');
+const { buildSitemapIndex } = require('../services/sitemaps');
+
+test('listing changes clear the cached sitemaps', async () => {
+  mock.method(Story, 'countDocuments', async () => 1);
+  mock.method(Story, 'aggregate', async () => [{ updatedAt: new Date('2026-01-01T00:00:00Z') }]);
+
+  try {
+    await buildSitemapIndex('https://example.com');
+    await buildSitemapIndex('https://example.com');
+    assert.equal(Story.countDocuments.mock.callCount(), 1);
+
+    Story.emit('listingChanged', new Story({ title: 'Published', isPublished: true }));
+    await buildSitemapIndex('https://example.com');
+    assert.equal(Story.countDocuments.mock.callCount(), 2);
+  } finally {
+    mock.restoreAll();
+  }
+});
@@ -0,0 +1,58 @@
+const { test, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Story = require('../models/Story');
+const StoryRevision = require('../models/StoryRevision');
+const StoryTranslation = require('../models/StoryTranslation');
+const PreviewToken = require('../models/PreviewToken');
+const Series = require('../models/Series');
+const CurationSlot = require('../models/CurationSlot');
+const RelatedStories = require('../models/RelatedStories');
+const { cloudinary, getPublicIdFromUrl } = require('../services/cloudinary');
+const { purgeStory } = require('../services/trash');
+
+test('public IDs are read from Cloudinary delivery URLs', () => {
+  assert.equal(
+    getPublicIdFromUrl('https://res.cloudinary.com/demo/image/upload/v1712345678/stories/abc123.jpg'),
+    'stories/abc123'
+  );
+  assert.equal(
+    getPublicIdFromUrl('https://res.cloudinary.com/demo/image/upload/c_fill,w_1200,h_800/f_auto/stories/abc123.webp'),
+    'stories/abc123'
+  );
+  assert.equal(getPublicIdFromUrl('https://example.com/images/abc123.jpg'), null);
+  assert.equal(getPublicIdFromUrl('not a url'), null);
+});
+
+test('purging deletes the uploaded assets behind the story URLs', async () => {
+  const destroyed = [];
+  mock.method(cloudinary.uploader, 'destroy', async (publicId, options) => {
+    destroyed.push([publicId, options.resource_type]);
+    return { result: 'ok' };
+  });
+  [StoryRevision, StoryTranslation, PreviewToken, RelatedStories].forEach(model => {
+    mock.method(model, 'deleteMany', async () => ({}));
+  });
+  [Series, CurationSlot, RelatedStories].forEach(model => {
+    mock.method(model, 'updateMany', async () => ({}));
+  });
+  mock.method(RelatedStories, 'deleteOne', async () => ({}));
+  mock.method(Story, 'deleteOne', async () => ({}));
+
+  try {
+    await purgeStory({
+      _id: new mongoose.Types.ObjectId(),
+      // Made-up ID as stored by older versions; the URL is what counts
+      image: {
+        url: 'https://res.cloudinary.com/demo/image/upload/v1712345678/stories/abc123.jpg',
+        publicId: 'story-1712345678000'
+      },
+      video: { url: 'https://res.cloudinary.com/demo/video/upload/v1712345679/videos/clip42.mp4' }
+    });
+
+    assert.deepEqual(destroyed, [['stories/abc123', 'image'], ['videos/clip42', 'video']]);
+    assert.equal(Story.deleteOne.mock.callCount(), 1);
+  } finally {
+    mock.restoreAll();
+  }
+});
@@ -0,0 +1,23 @@
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildStoryUrl, buildStoryPermalink } = require('../utils/urls');
+
+const env = { ...process.env };
+afterEach(() => {
+  process.env = { ...env };
+});
+
+test('share links point at the API so crawlers get the Open Graph page', () => {
+  process.env.SERVER_URL = 'https://api.example.com/';
+  process.env.FRONTEND_URL = 'https://www.example.com';
+
+  assert.equal(buildStoryUrl('abc123'), 'https://api.example.com/s/abc123');
+  assert.equal(buildStoryPermalink({ slug: 'wolves' }), 'https://www.example.com/story/wolves');
+});
+
+test('share links fall back to the frontend when the API URL is unknown', () => {
+  delete process.env.SERVER_URL;
+  process.env.FRONTEND_URL = 'https://www.example.com';
+
+  assert.equal(buildStoryUrl({ _id: 'abc123' }), 'https://www.example.com/s/abc123');
+});
@@ -0,0 +1,95 @@
+/**
+ * Word count, reading time and heading outline for story content
+ */
+
+const { htmlToText, decodeEntities } = require('./sanitize');
+const { slugifyHeading } = require('./markdown');
+
+const WORDS_PER_MINUTE = 200;
+const OUTLINE_LEVELS = [2, 3, 4];
+const HEADING_PATTERN = /<h([1-6])([^>]*)>([\s\S]*?)<\/h\1>/gi;
+
+// Raw text of an HTML fragment: "Tom &amp; Jerry" reads as "Tom & Jerry"
+const toPlainText = (html) => decodeEntities(htmlToText(html));
+
+/**
+ * Count words in plain text
+ * @param {string} text - Plain text
+ * @returns {number} - Word count
+ */
+const countWords = (text) => {
+  if (!text) return 0;
+  return text.split(/\s+/).filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+};
+
+/**
+ * Estimate reading time in whole minutes (at least one for any content)
+ * @param {number} wordCount - Number of words
+ * @returns {number} - Minutes
+ */
+const estimateReadingTime = (wordCount) => {
+  if (!wordCount) return 0;
+  return Math.max(1, Math.ceil(wordCount / WORDS_PER_MINUTE));
+};
+
+/**
+ * Build the heading outline of sanitized HTML, adding anchor ids to headings that lack one
+ * @param {string} html - Sanitized HTML
+ * @returns {{html: string, outline: Array<{level: number, id: string, text: string}>}}
+ */
+const buildOutline = (html) => {
+  if (!html) return { html: '', outline: [] };
+
+  const usedIds = new Set();
+  const outline = [];
+
+  const withIds = html.replace(HEADING_PATTERN, (match, level, attributes, inner) => {
+    const text = toPlainText(inner);
+    const existingId = (attributes.match(/\sid="([^"]*)"/) || [])[1];
+
+    let id = existingId;
+    if (!id) {
+      const baseId = slugifyHeading(text) || `section-${usedIds.size + 1}`;
+      id = baseId;
+      let counter = 1;
+      while (usedIds.has(id)) {
+        id = `${baseId}-${counter}`;
+        counter++;
+      }
+    }
+    usedIds.add(id);
+
+    if (OUTLINE_LEVELS.includes(parseInt(level)) && text) {
+      outline.push({ level: parseInt(level), id, text });
+    }
+
+    return existingId ? match : `<h${level}${attributes} id="${id}">${inner}</h${level}>`;
+  });
+
+  return { html: withIds, outline };
+};
+
+/**
+ * Compute all derived content fields for a story
+ * @param {string} html - Sanitized story HTML
+ * @returns {{content: string, wordCount: number, readingTime: number, tableOfContents: Array}}
+ */
+const computeContentStats = (html) => {
+  const { html: content, outline } = buildOutline(html);
+  const wordCount = countWords(toPlainText(content));
+
+  return {
+    content,
+    wordCount,
+    readingTime: estimateReadingTime(wordCount),
+    tableOfContents: outline
+  };
+};
+
+module.exports = {
+  WORDS_PER_MINUTE,
+  countWords,
+  estimateReadingTime,
+  buildOutline,
+  computeContentStats
+};
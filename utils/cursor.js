@@ -0,0 +1,144 @@
+/**
+ * Keyset (cursor) pagination for story listings. A cursor is an opaque token
+ * holding the sort key value and _id of the story at the edge of a page, so
+ * the next page starts right after it no matter what was published since.
+ */
+
+const mongoose = require('mongoose');
+
+const cursorError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+// Dates survive the JSON round trip tagged, everything else as-is
+const encodeValue = (value) => (value instanceof Date ? { $date: value.toISOString() } : value ?? null);
+const decodeValue = (value) => (value && typeof value === 'object' && value.$date ? new Date(value.$date) : value);
+
+/**
+ * Encode the position of a story as a cursor
+ * @param {Object} story - Story document or plain object at the edge of a page
+ * @param {Object} sort - { key, field, order } the page was fetched with
+ * @param {string} direction - 'next' to continue after the story, 'prev' to go back before it
+ * @returns {string} - URL-safe opaque token
+ */
+const encodeCursor = (story, sort, direction) => Buffer.from(JSON.stringify({
+  s: sort.key,
+  v: encodeValue(story[sort.field]),
+  id: String(story._id),
+  d: direction
+})).toString('base64url');
+
+/**
+ * Decode a cursor, rejecting tampered tokens and tokens from another sort order
+ * @param {string} token - Cursor from a previous response
+ * @param {Object} sort - { key } the current request sorts by
+ * @returns {Object} - { value, id, direction }
+ */
+const decodeCursor = (token, sort) => {
+  let cursor;
+  try {
+    cursor = JSON.parse(Buffer.from(String(token), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw cursorError('Invalid cursor');
+  }
+
+  if (!cursor || !mongoose.isValidObjectId(cursor.id) || !['next', 'prev'].includes(cursor.d)) {
+    throw cursorError('Invalid cursor');
+  }
+  if (cursor.s !== sort.key) {
+    throw cursorError('Cursor does not match the requested sort order');
+  }
+
+  return {
+    value: decodeValue(cursor.v),
+    id: new mongoose.Types.ObjectId(cursor.id),
+    direction: cursor.d
+  };
+};
+
+/**
+ * Filter for stories strictly past a cursor in the direction of travel.
+ * Ties on the sort field are broken by _id; null values sort lowest, as in MongoDB.
+ * @param {Object} sort - { field, order } with order 1 or -1
+ * @param {Object} cursor - Result of decodeCursor
+ * @returns {Object} - MongoDB filter
+ */
+const buildCursorFilter = ({ field, order }, cursor) => {
+  const forward = cursor.direction === 'prev' ? -order : order;
+  const compare = forward > 0 ? '$gt' : '$lt';
+
+  if (cursor.value === null || cursor.value === undefined) {
+    return {
+      $or: [
+        { [field]: null, _id: { [compare]: cursor.id } },
+        ...(forward > 0 ? [{ [field]: { $ne: null } }] : [])
+      ]
+    };
+  }
+
+  return {
+    $or: [
+      { [field]: { [compare]: cursor.value } },
+      { [field]: cursor.value, _id: { [compare]: cursor.id } },
+      ...(forward < 0 ? [{ [field]: null }] : [])
+    ]
+  };
+};
+
+/**
+ * Fetch one page by cursor. `fetch(cursorFilter, sortSpec, count)` runs the
+ * actual query so callers keep their own filters, projections and populates.
+ * @param {Object} options - { sort, cursor (decoded or null), limit, fetch }
+ * @returns {Promise<Object>} - { items, pagination: { limit, hasNext, hasPrev, nextCursor, prevCursor } }
+ */
+const paginateByCursor = async ({ sort, cursor, limit, fetch }) => {
+  const direction = cursor ? cursor.direction : 'next';
+  const order = direction === 'prev' ? -sort.order : sort.order;
+
+  const rows = await fetch(
+    cursor ? buildCursorFilter(sort, cursor) : null,
+    { [sort.field]: order, _id: order },
+    limit + 1
+  );
+
+  const hasMore = rows.length > limit;
+  const items = rows.slice(0, limit);
+  if (direction === 'prev') {
+    items.reverse();
+  }
+
+  // Arriving through a cursor means there is a page on the side we came from
+  const hasNext = direction === 'prev' ? Boolean(cursor) : hasMore;
+  const hasPrev = direction === 'prev' ? hasMore : Boolean(cursor);
+  const first = items[0];
+  const last = items[items.length - 1];
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasNext,
+      hasPrev,
+      nextCursor: hasNext && last ? encodeCursor(last, sort, 'next') : null,
+      prevCursor: hasPrev && first ? encodeCursor(first, sort, 'prev') : null
+    }
+  };
+};
+
+/**
+ * Whether a listing request asked for cursor pagination: it sent a cursor,
+ * or paginate=cursor to get the first page
+ * @param {Object} req - Express request
+ * @returns {boolean}
+ */
+const usesCursorPagination = (req) => Boolean(req.query.cursor) || req.query.paginate === 'cursor';
+
+module.exports = {
+  usesCursorPagination,
+  encodeCursor,
+  decodeCursor,
+  buildCursorFilter,
+  paginateByCursor
+};
@@ -0,0 +1,125 @@
+/**
+ * Text diff utilities used to compare story revisions
+ */
+
+// Above this many LCS cells the diff falls back to a single replace hunk
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into diffable lines, breaking after block-level HTML tags so
+ * single-line HTML content still produces a readable diff
+ * @param {string} text - Text to split
+ * @returns {string[]} - Lines
+ */
+const splitLines = (text) => {
+  if (!text) return [];
+
+  return String(text)
+    .replace(/(<\/(p|h[1-6]|li|ul|ol|blockquote|div|pre|table|tr)>|<br\s*\/?>)/gi, '$1\n')
+    .split('\n')
+    .filter(line => line.length > 0);
+};
+
+/**
+ * Compute a line diff between two token lists using longest common subsequence
+ * @param {string[]} oldLines - Previous lines
+ * @param {string[]} newLines - Current lines
+ * @returns {Array<{type: string, value: string}>} - Diff operations ('equal', 'added', 'removed')
+ */
+const diffLines = (oldLines, newLines) => {
+  const n = oldLines.length;
+  const m = newLines.length;
+
+  if (n * m > MAX_DIFF_CELLS) {
+    return [
+      ...oldLines.map(value => ({ type: 'removed', value })),
+      ...newLines.map(value => ({ type: 'added', value }))
+    ];
+  }
+
+  // lcs[i][j] = length of LCS of oldLines[i..] and newLines[j..]
+  const lcs = Array.from({ length: n + 1 }, () => new Uint32Array(m + 1));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = oldLines[i] === newLines[j]
+        ? lcs[i + 1][j + 1] + 1
+        : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (oldLines[i] === newLines[j]) {
+      ops.push({ type: 'equal', value: oldLines[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: 'removed', value: oldLines[i] });
+      i++;
+    } else {
+      ops.push({ type: 'added', value: newLines[j] });
+      j++;
+    }
+  }
+  while (i < n) ops.push({ type: 'removed', value: oldLines[i++] });
+  while (j < m) ops.push({ type: 'added', value: newLines[j++] });
+
+  return ops;
+};
+
+/**
+ * Diff two text values
+ * @param {string} oldText - Previous text
+ * @param {string} newText - Current text
+ * @returns {{changed: boolean, changes: Array<{type: string, value: string}>}}
+ */
+const diffText = (oldText, newText) => {
+  const before = oldText || '';
+  const after = newText || '';
+
+  if (before === after) {
+    return { changed: false, changes: [] };
+  }
+
+  return { changed: true, changes: diffLines(splitLines(before), splitLines(after)) };
+};
+
+/**
+ * Diff two string arrays as sets (order-insensitive)
+ * @param {string[]} oldList - Previous values
+ * @param {string[]} newList - Current values
+ * @returns {{changed: boolean, added: string[], removed: string[]}}
+ */
+const diffList = (oldList, newList) => {
+  const before = oldList || [];
+  const after = newList || [];
+  const added = after.filter(value => !before.includes(value));
+  const removed = before.filter(value => !after.includes(value));
+
+  return { changed: added.length > 0 || removed.length > 0, added, removed };
+};
+
+/**
+ * Check whether two field values differ
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - True if the values differ
+ */
+const valuesDiffer = (a, b) => {
+  if (Array.isArray(a) || Array.isArray(b)) {
+    const left = a || [];
+    const right = b || [];
+    return left.length !== right.length || left.some((value, index) => value !== right[index]);
+  }
+  return (a || '') !== (b || '');
+};
+
+module.exports = {
+  splitLines,
+  diffLines,
+  diffText,
+  diffList,
+  valuesDiffer
+};
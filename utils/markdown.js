@@ -0,0 +1,113 @@
+/**
+ * Markdown rendering for stories authored in Markdown
+ */
+
+const MarkdownIt = require('markdown-it');
+const markdownItFootnote = require('markdown-it-footnote');
+const markdownItAnchor = require('markdown-it-anchor');
+const { sanitizeContent } = require('./sanitize');
+
+// Paragraph marker writers can place where the table of contents should appear
+const TOC_MARKER = /<p>\s*\[\[toc\]\]\s*<\/p>/i;
+const TOC_LEVELS = [2, 3, 4];
+
+/**
+ * Turn heading text into an anchor id, keeping non-Latin scripts readable
+ * @param {string} text - Heading text
+ * @returns {string} - Anchor id
+ */
+const slugifyHeading = (text) => {
+  return String(text)
+    .trim()
+    .toLowerCase()
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{M}\p{N}_-]/gu, '')
+    .replace(/-+/g, '-');
+};
+
+const md = new MarkdownIt({
+  html: true,
+  linkify: true,
+  typographer: true
+})
+  .use(markdownItFootnote)
+  .use(markdownItAnchor, {
+    slugify: slugifyHeading,
+    tabIndex: false
+  });
+
+const escapeHtml = (text) => {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+// Collect headings (with the ids assigned by markdown-it-anchor) from parsed tokens
+const collectHeadings = (tokens) => {
+  const headings = [];
+
+  tokens.forEach((token, index) => {
+    if (token.type !== 'heading_open') return;
+
+    const level = parseInt(token.tag.substring(1));
+    const id = token.attrGet('id');
+    const inline = tokens[index + 1];
+
+    if (id && inline && inline.type === 'inline') {
+      // Plain heading text without emphasis/link markup
+      const text = (inline.children || [])
+        .filter(child => child.type === 'text' || child.type === 'code_inline')
+        .map(child => child.content)
+        .join('');
+      headings.push({ level, id, text: text || inline.content });
+    }
+  });
+
+  return headings;
+};
+
+/**
+ * Render heading entries as a nested-by-indentation navigation list
+ * @param {Array<{level: number, id: string, text: string}>} headings - Table of contents entries
+ * @returns {string} - HTML for the table of contents
+ */
+const renderTableOfContents = (headings) => {
+  if (headings.length === 0) return '';
+
+  const items = headings
+    .map(heading => `<li class="toc-level-${heading.level}"><a href="#${escapeHtml(heading.id)}">${escapeHtml(heading.text)}</a></li>`)
+    .join('');
+
+  return `<nav class="toc"><ol>${items}</ol></nav>`;
+};
+
+/**
+ * Render Markdown to sanitized HTML with heading anchors, footnotes and a table of contents
+ * @param {string} source - Markdown source
+ * @returns {{html: string, tableOfContents: Array<{level: number, id: string, text: string}>}}
+ */
+const renderMarkdown = (source) => {
+  if (!source) {
+    return { html: '', tableOfContents: [] };
+  }
+
+  const env = {};
+  const tokens = md.parse(String(source), env);
+  const tableOfContents = collectHeadings(tokens).filter(heading => TOC_LEVELS.includes(heading.level));
+
+  let html = md.renderer.render(tokens, md.options, env);
+  html = html.replace(TOC_MARKER, () => renderTableOfContents(tableOfContents));
+
+  return {
+    html: sanitizeContent(html),
+    tableOfContents
+  };
+};
+
+module.exports = {
+  slugifyHeading,
+  renderMarkdown,
+  renderTableOfContents
+};
@@ -0,0 +1,193 @@
+/**
+ * HTML sanitization for story content
+ */
+
+const sanitizeHtml = require('sanitize-html');
+
+const ALLOWED_TAGS = [
+  'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'strong', 'b', 'em', 'i', 'u', 's', 'sub', 'sup', 'mark', 'small',
+  'blockquote', 'q', 'cite', 'code', 'pre',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'a', 'img', 'figure', 'figcaption',
+  'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption',
+  'div', 'span', 'section', 'aside', 'nav'
+];
+
+const ALLOWED_ATTRIBUTES = {
+  a: ['href', 'title', 'name', 'id', 'rel', 'target'],
+  img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+  th: ['colspan', 'rowspan', 'scope'],
+  td: ['colspan', 'rowspan'],
+  ol: ['start', 'type'],
+  li: ['id'],
+  h1: ['id'], h2: ['id'], h3: ['id'], h4: ['id'], h5: ['id'], h6: ['id'],
+  code: ['class']
+};
+
+// Word and Google Docs markup that carries no content
+const OFFICE_JUNK_PATTERNS = [
+  /<!--\[if[\s\S]*?<!\[endif\]-->/gi, // Conditional comments
+  /<\/?o:[^>]*>/gi, // <o:p> and other Office namespace tags
+  /<\/?(w|m|v):[^>]*>/gi,
+  /<xml>[\s\S]*?<\/xml>/gi
+];
+
+// Google Docs wraps pasted content in <b id="docs-internal-guid-..."> with normal weight
+const isGoogleDocsWrapper = (tagName, attribs) => {
+  return tagName === 'b' && /^docs-internal-guid/.test(attribs.id || '');
+};
+
+/**
+ * Check whether a link points away from our own frontend
+ * @param {string} href - Link target
+ * @returns {boolean} - True for absolute links to other hosts
+ */
+const isExternalLink = (href) => {
+  if (!href || !/^(https?:)?\/\//i.test(href)) return false;
+
+  try {
+    const target = new URL(href, 'https://placeholder.invalid');
+    const ownHost = process.env.FRONTEND_URL ? new URL(process.env.FRONTEND_URL).host : null;
+    return target.host !== ownHost;
+  } catch (error) {
+    return true;
+  }
+};
+
+const SANITIZE_OPTIONS = {
+  allowedTags: ALLOWED_TAGS,
+  allowedAttributes: ALLOWED_ATTRIBUTES,
+  allowedSchemes: ['http', 'https', 'mailto', 'tel'],
+  allowedSchemesByTag: { img: ['http', 'https'] },
+  allowProtocolRelative: false,
+  // Classes emitted by the Markdown renderer for footnotes and the table of contents
+  allowedClasses: {
+    code: [/^language-/],
+    section: ['footnotes'],
+    ol: ['footnotes-list'],
+    li: ['footnote-item', /^toc-level-\d$/],
+    sup: ['footnote-ref'],
+    a: ['footnote-backref'],
+    hr: ['footnotes-sep'],
+    nav: ['toc']
+  },
+  // Drop the contents of these entirely rather than unwrapping them
+  nonTextTags: ['script', 'style', 'textarea', 'option', 'noscript', 'iframe', 'object', 'embed', 'title', 'head'],
+  exclusiveFilter: (frame) => {
+    // Empty spans/paragraphs left behind by pasted documents
+    return ['span', 'p'].includes(frame.tag) && !frame.text.trim() && !frame.mediaChildren.length;
+  },
+  transformTags: {
+    a: (tagName, attribs) => {
+      const attributes = { ...attribs };
+      if (isExternalLink(attributes.href)) {
+        attributes.rel = 'noopener nofollow';
+      } else {
+        delete attributes.rel;
+      }
+      return { tagName, attribs: attributes };
+    },
+    b: (tagName, attribs) => {
+      return isGoogleDocsWrapper(tagName, attribs)
+        ? { tagName: 'div', attribs: {} }
+        : { tagName: 'strong', attribs: {} };
+    },
+    i: 'em'
+  }
+};
+
+/**
+ * Sanitize story HTML against the allowlist and strip pasted document junk
+ * @param {string} html - Untrusted HTML
+ * @returns {string} - Safe HTML
+ */
+const sanitizeContent = (html) => {
+  if (!html) return '';
+
+  let cleaned = String(html);
+  OFFICE_JUNK_PATTERNS.forEach(pattern => {
+    cleaned = cleaned.replace(pattern, '');
+  });
+
+  return sanitizeHtml(cleaned, SANITIZE_OPTIONS).trim();
+};
+
+/**
+ * Convert HTML to plain text with normalized whitespace
+ * @param {string} html - HTML to flatten
+ * @returns {string} - Plain text
+ */
+const htmlToText = (html) => {
+  if (!html) return '';
+
+  // Keep words from adjacent blocks apart once the tags are gone
+  const spaced = String(html).replace(/<\/(p|div|h[1-6]|li|blockquote|tr|td|th|pre|figcaption)>|<br\s*\/?>/gi, '$& ');
+
+  const text = sanitizeHtml(spaced, {
+    allowedTags: [],
+    allowedAttributes: {},
+    nonTextTags: SANITIZE_OPTIONS.nonTextTags
+  });
+
+  // The sanitizer's output stays entity-escaped so stored excerpts can never
+  // carry live markup; use decodeEntities where raw text is needed
+  return text
+    .replace(/&nbsp;/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Decode the entities htmlToText leaves escaped, exactly once. `&amp;` goes
+ * last so "&amp;lt;" becomes the text "&lt;", not "<". The result is raw
+ * text and must be escaped again before it goes into HTML.
+ * @param {string} text - Escaped text from htmlToText
+ * @returns {string} - Raw text
+ */
+const decodeEntities = (text) => String(text || '')
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#0?39;/g, "'")
+  .replace(/&amp;/g, '&');
+
+/**
+ * Escape raw text the way htmlToText leaves it, so the two round-trip
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+const escapeText = (text) => String(text || '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * Normalise an editor-supplied excerpt to escaped plain text. Idempotent:
+ * a stored excerpt comes out unchanged however often it is saved.
+ * @param {string} text - Excerpt, possibly with markup or entities
+ * @returns {string} - Escaped plain text
+ */
+const normalizeExcerpt = (text) => escapeText(decodeEntities(htmlToText(text)));
+
+/**
+ * Build a plain-text excerpt from HTML content. The length counts characters
+ * of the raw text, so the cut never lands inside an entity.
+ * @param {string} html - Story content
+ * @param {number} length - Maximum excerpt length before the ellipsis
+ * @returns {string} - Escaped excerpt
+ */
+const generateExcerpt = (html, length = 200) => {
+  const plainText = decodeEntities(htmlToText(html));
+  return escapeText(plainText.length > length ? plainText.substring(0, length) + '...' : plainText);
+};
+
+module.exports = {
+  sanitizeContent,
+  htmlToText,
+  decodeEntities,
+  escapeText,
+  normalizeExcerpt,
+  generateExcerpt,
+  isExternalLink
+};
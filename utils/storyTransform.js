@@ -0,0 +1,36 @@
+/**
+ * Shared helpers for shaping story documents in API responses
+ */
+
+const { generateExcerpt } = require('./sanitize');
+
+/**
+ * Transform a story for frontend compatibility
+ * @param {Object} story - Story document or plain object
+ * @returns {Object} - Plain story object with excerpt and featuredImage defaults
+ */
+const transformStoryForFrontend = (story) => {
+  const storyObj = story.toObject ? story.toObject() : story;
+  
+  // Set defaults if missing
+  if (!storyObj.excerpt && storyObj.content) {
+    storyObj.excerpt = generateExcerpt(storyObj.content);
+  }
+  if (storyObj.isFeatured === undefined) storyObj.isFeatured = false;
+  
+  // Handle featured image
+  // Set featuredImage properly - prioritize featuredImage field, then image.url, then default logo
+  if (storyObj.featuredImage) {
+    // Keep existing featuredImage
+  } else if (storyObj.image && storyObj.image.url) {
+    storyObj.featuredImage = storyObj.image.url;
+  } else {
+    storyObj.featuredImage = '/storiva-logo.jpeg';
+  }
+  
+  return storyObj;
+};
+
+module.exports = {
+  transformStoryForFrontend
+};
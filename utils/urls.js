@@ -0,0 +1,61 @@
+/**
+ * Public URLs of the frontend, shared by feeds, share links and social posts
+ */
+
+const DEFAULT_FRONTEND_URL = 'https://storivahub.vercel.app';
+
+/**
+ * Base URL of the public frontend, without a trailing slash
+ * @returns {string}
+ */
+const getFrontendUrl = () => (process.env.FRONTEND_URL || DEFAULT_FRONTEND_URL).replace(/\/+$/, '');
+
+/**
+ * Origin serving share links: this API when SERVER_URL is set, so link
+ * preview crawlers reach the Open Graph pages directly. Without it the
+ * frontend has to proxy its /s/* paths to the API.
+ * @returns {string}
+ */
+const getShareOrigin = () => (process.env.SERVER_URL || getFrontendUrl()).replace(/\/+$/, '');
+
+/**
+ * Short share link to a story. Crawlers get its Open Graph page, whose og:url
+ * is the canonical permalink; browsers are redirected to that permalink.
+ * @param {Object|string} story - Story (or story ID)
+ * @returns {string}
+ */
+const buildStoryUrl = (story) => `${getShareOrigin()}/s/${story._id || story}`;
+
+/**
+ * Canonical slug-based link to a story on the frontend
+ * @param {Object} story - Story with a slug
+ * @returns {string}
+ */
+const buildStoryPermalink = (story) => {
+  const storyPath = (process.env.STORY_PATH || '/story').replace(/\/+$/, '');
+  return `${getFrontendUrl()}${storyPath}/${story.slug}`;
+};
+
+/**
+ * Origin (protocol and host) the current request was made to
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const getRequestOrigin = (req) => `${req.protocol}://${req.get('host')}`;
+
+/**
+ * Public origin of this API: SERVER_URL when configured, since the Host
+ * header is client-controlled, otherwise the current request's origin
+ * @param {Object} req - Express request
+ * @returns {string}
+ */
+const getApiOrigin = (req) => (process.env.SERVER_URL || getRequestOrigin(req)).replace(/\/+$/, '');
+
+module.exports = {
+  getFrontendUrl,
+  getShareOrigin,
+  buildStoryUrl,
+  buildStoryPermalink,
+  getRequestOrigin,
+  getApiOrigin
+};
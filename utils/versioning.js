@@ -0,0 +1,91 @@
+/**
+ * Helpers for optimistic concurrency on stories. A story's `version` is
+ * exposed as a strong ETag and must be echoed back (If-Match header or a
+ * `version` field) when updating it.
+ */
+
+/**
+ * Format a story version as an ETag
+ * @param {number} version - Story version
+ * @returns {string} - Quoted ETag value
+ */
+const formatETag = (version) => `"${version || 1}"`;
+
+/**
+ * Set the ETag header for a story response
+ * @param {Object} res - Express response
+ * @param {Object} story - Story document or plain object
+ */
+const setVersionHeaders = (res, story) => {
+  res.set('ETag', formatETag(story.version));
+};
+
+/**
+ * Read the version a client expects to update, from If-Match or the body
+ * @param {Object} req - Express request
+ * @returns {number|string|null} - Version number, '*' for any version, or null when missing
+ */
+const getExpectedVersion = (req) => {
+  const ifMatch = req.get('If-Match');
+  if (ifMatch) {
+    if (ifMatch.trim() === '*') return '*';
+    // Take the first listed tag, ignoring weak markers and quotes
+    const tag = ifMatch.split(',')[0].trim().replace(/^W\//, '').replace(/"/g, '');
+    const version = parseInt(tag, 10);
+    return isNaN(version) ? NaN : version;
+  }
+
+  if (req.body && req.body.version !== undefined && req.body.version !== null) {
+    const version = parseInt(req.body.version, 10);
+    return isNaN(version) ? NaN : version;
+  }
+
+  return null;
+};
+
+/**
+ * Query filter matching a story at the given version. Stories saved before
+ * versioning have no stored version and count as version 1.
+ * @param {number} version - Expected version
+ * @returns {Object} - MongoDB filter
+ */
+const versionFilter = (version) => {
+  if (version === 1) {
+    return { $or: [{ version: 1 }, { version: { $exists: false } }] };
+  }
+  return { version };
+};
+
+/**
+ * Whether a client's expected version no longer matches the stored story
+ * @param {number|string|null} expected - Result of getExpectedVersion
+ * @param {Object} story - Current story
+ * @returns {boolean}
+ */
+const isStaleVersion = (expected, story) => {
+  if (expected === null || expected === '*') return false;
+  return expected !== (story.version || 1);
+};
+
+/**
+ * Reply 409 with the current server copy so the client can merge
+ * @param {Object} res - Express response
+ * @param {Object} story - Current story
+ */
+const sendVersionConflict = (res, story) => {
+  setVersionHeaders(res, story);
+  return res.status(409).json({
+    error: 'Story has been modified since you loaded it',
+    currentVersion: story.version || 1,
+    story
+  });
+};
+
+module.exports = {
+  formatETag,
+  setVersionHeaders,
+  getExpectedVersion,
+  versionFilter,
+  isStaleVersion,
+  sendVersionConflict
+};
@@ -0,0 +1,28 @@
+/**
+ * Helpers for hand-built XML documents (feeds, sitemaps)
+ */
+
+/**
+ * Escape text for use in XML element content or attribute values
+ * @param {*} value - Value to escape
+ * @returns {string}
+ */
+const escapeXml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Wrap text in a CDATA section. CDATA cannot contain "]]>", so it is split
+ * across sections.
+ * @param {*} value - Value to wrap
+ * @returns {string}
+ */
+const cdata = (value) => `<![CDATA[${String(value ?? '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+module.exports = {
+  escapeXml,
+  cdata
+};